@@ -0,0 +1,49 @@
+// src/accounts.js
+// Account selection over payload.accounts: every IBKR account plus a
+// consolidated total. The choice persists in localStorage like the theme.
+import { parseMoney, NO_FX } from "./currency.js";
+
+export const CONSOLIDATED = 'consolidated';
+const ACCOUNT_KEY = 'account';
+
+// Summed across accounts when consolidating; PnL prefers IBKR's own "All" row.
+const PNL_FIELDS = new Set(["UnrealizedPnL", "RealizedPnL"]);
+
+export function getAccount() {
+  return localStorage.getItem(ACCOUNT_KEY) || CONSOLIDATED;
+}
+export function setAccount(k) {
+  localStorage.setItem(ACCOUNT_KEY, k || CONSOLIDATED);
+}
+
+// Real account ids in a payload.accounts map (everything but "All")
+export const accountKeys = (accounts) => Object.keys(accounts || {}).filter(k => k !== "All");
+
+// Stored selection if it exists in this data, else consolidated
+export function resolveAccount(accounts, sel = getAccount()) {
+  return accountKeys(accounts).includes(sel) ? sel : CONSOLIDATED;
+}
+
+export const accountLabel = (sel) => (sel === CONSOLIDATED ? "Consolidated" : sel);
+
+/**
+ * Numeric value of `field` for the selection (null when absent), converted
+ * through `fx` (see currency.js fxFor) so accounts in different currencies
+ * can be summed. accounts: payload.accounts ({ [id]: { [field]: { value } | "1.0 USD" } })
+ */
+export function accountValue(accounts, field, sel = CONSOLIDATED, fx = NO_FX) {
+  const val = (a) => {
+    const { amount, ccy } = parseMoney(a?.[field], a?.[field]?.currency || a?.currency || "BASE");
+    return fx.to(amount, ccy);
+  };
+  if (sel !== CONSOLIDATED) return val(accounts?.[sel]);
+  if (PNL_FIELDS.has(field) && val(accounts?.All) != null) return val(accounts.All);
+  const parts = accountKeys(accounts).map(k => val(accounts[k])).filter(v => v != null);
+  return parts.length ? parts.reduce((a, b) => a + b, 0) : null;
+}
+
+// Positions belonging to the selection; legs without an account tag are kept.
+export function positionsFor(positions, sel = CONSOLIDATED) {
+  if (!Array.isArray(positions) || sel === CONSOLIDATED) return positions || [];
+  return positions.filter(p => p.account == null || p.account === sel);
+}
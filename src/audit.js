@@ -0,0 +1,97 @@
+// src/audit.js
+// Full-history audit: walk every on-chain index of every registry and compare
+// the anchored bytes32 with the IPFS file hash and the data source's sha256.
+import { getSnapshotCount, getSnapshotByIndex, getAnchorLogs, REGISTRIES } from "./contract.js";
+import { driftFlags } from "./provenance.js";
+import { fetchAndVerifyByCID } from "./dataLoader.js";
+import { activeSource } from "./sources.js";
+import { isZeroHash } from "./history.js";
+import { normHash as norm, mapLimit } from "./util.js";
+
+// "match" | "mismatch" | "missing-db" | "missing-ipfs"; "error" when the chain
+// read itself failed, so the anchor could not be checked at all
+function classify({ onchain, ipfs, db }) {
+  if (!ipfs) return "missing-ipfs";
+  if (!db) return "missing-db";
+  return onchain && ipfs === onchain && db === onchain ? "match" : "mismatch";
+}
+
+async function auditIndex(reg, index, dbByHash, dbByAsOf, logs) {
+  const { cid, sha256File, timestamp } = await getSnapshotByIndex(index, reg);
+  const onchain = isZeroHash(sha256File) ? null : norm(sha256File);
+
+  let ipfs = null;
+  let asOf = null;
+  let error = null;
+  try {
+    const r = await fetchAndVerifyByCID(cid, onchain ? sha256File : null);
+    ipfs = norm(r.sha256_file);
+    asOf = r.json?.as_of_utc ?? null;
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+
+  // Prefer an exact hash hit; fall back to the snapshot time so a DB row
+  // with a wrong hash still shows up as a mismatch rather than missing.
+  const row = dbByHash.get(onchain) || dbByHash.get(ipfs) || (asOf && dbByAsOf.get(asOf)) || null;
+  const db = row ? norm(row.sha256) : null;
+  const tx = logs.get(index) ?? null;
+  asOf = asOf ?? row?.as_of_utc ?? null;
+
+  return {
+    registry: reg.key,
+    index,
+    cid,
+    timestamp,
+    asOf,
+    onchain,
+    ipfs,
+    db,
+    status: classify({ onchain, ipfs, db }),
+    error,
+    tx,
+    flags: driftFlags({ timestamp, blockTime: tx?.blockTime ?? null, asOf }),
+  };
+}
+
+/**
+ * Re-verify indices 0..getSnapshotCount()-1 of every registry.
+ * opts.concurrency: parallel IPFS fetches (default 4)
+ * opts.onRow(row, done, total): called as each index finishes
+ */
+export async function runAudit({ concurrency = 4, onRow } = {}) {
+  const [counts, dbRows] = await Promise.all([
+    Promise.all(REGISTRIES.map(r => getSnapshotCount(r))),
+    activeSource().snapshotsSince(null, new Set())
+  ]);
+  // tx/block provenance is best-effort: an RPC that refuses the log scan
+  // leaves those columns empty rather than failing the audit
+  const logs = await Promise.all(REGISTRIES.map(r => getAnchorLogs(r).catch((e) => {
+    console.warn(`registry logs unavailable for ${r.label}:`, e?.message || e);
+    return new Map();
+  })));
+
+  const dbByHash = new Map();
+  const dbByAsOf = new Map();
+  for (const r of dbRows) {
+    if (r.sha256) dbByHash.set(norm(r.sha256), r);
+    if (r.as_of_utc) dbByAsOf.set(r.as_of_utc, r);
+  }
+
+  let done = 0;
+  const todo = REGISTRIES.flatMap((reg, r) => Array.from({ length: counts[r] }, (_, i) => ({ reg, i, logs: logs[r] })));
+  const count = todo.length;
+  return mapLimit(todo, concurrency, async ({ reg, i, logs }) => {
+    let row;
+    try {
+      row = await auditIndex(reg, i, dbByHash, dbByAsOf, logs);
+    } catch (e) {
+      // chain read itself failed for this index
+      row = { registry: reg.key, index: i, cid: null, timestamp: null, asOf: null, onchain: null, ipfs: null, db: null,
+              status: "error", error: e?.message || String(e), tx: logs.get(i) ?? null, flags: [] };
+    }
+    done++;
+    onRow?.(row, done, count);
+    return row;
+  });
+}
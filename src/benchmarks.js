@@ -0,0 +1,81 @@
+// src/benchmarks.js
+// Benchmark configuration and relative-performance stats. Benchmark rows come
+// from the API as growth-of-1000 levels: [{ trade_day, Zartrad, SPY, ... }].
+
+const PALETTE = ["#4caf50", "#ff9800", "#9c27b0", "#e91e63", "#009688", "#795548", "#607d8b"];
+export const PORTFOLIO_KEY = "Zartrad";
+
+/**
+ * [{ key, color }] from VITE_BENCHMARKS ("SPY:#4caf50,DBMF,TLT") when set,
+ * else every series present in the rows.
+ */
+export function benchmarkConfig(rows) {
+  const env = String(import.meta.env.VITE_BENCHMARKS ?? "").trim();
+  const keys = env
+    ? env.split(",").map(s => s.trim()).filter(Boolean)
+    : [...new Set((rows || []).flatMap(r => Object.keys(r)))].filter(k => k !== "trade_day" && k !== PORTFOLIO_KEY);
+  return keys.map((entry, i) => {
+    const [key, color] = entry.split(":");
+    return { key, color: color || PALETTE[i % PALETTE.length] };
+  });
+}
+
+/**
+ * Pair portfolio daily returns with the benchmark's return over the same
+ * interval (previous portfolio date -> this date). Days where either level
+ * is missing are dropped.
+ * returns: computePerformance().returns  -> [{ date, p, b }]
+ */
+export function alignReturns(returns, rows, key) {
+  const level = new Map((rows || []).filter(r => Number(r[key]) > 0).map(r => [r.trade_day, Number(r[key])]));
+  const out = [];
+  for (let i = 1; i < (returns || []).length; i++) {
+    const l0 = level.get(returns[i - 1].date);
+    const l1 = level.get(returns[i].date);
+    if (l0 && l1) out.push({ date: returns[i].date, p: returns[i].ret, b: l1 / l0 - 1 });
+  }
+  return out;
+}
+
+const mean = (a) => a.reduce((x, y) => x + y, 0) / (a.length || 1);
+const cov = (a, b) => { const ma = mean(a), mb = mean(b); return mean(a.map((x, i) => (x - ma) * (b[i] - mb))); };
+
+/**
+ * Annualised (252d) relative stats over aligned pairs.
+ * -> { n, beta, alpha, correlation, r2, tracking_error, information_ratio, up_capture, down_capture }
+ */
+export function relativeStats(pairs) {
+  const n = pairs.length;
+  if (n < 2) return { n };
+  const p = pairs.map(x => x.p), b = pairs.map(x => x.b);
+  const vb = cov(b, b), vp = cov(p, p);
+  const beta = vb > 0 ? cov(p, b) / vb : null;
+  const correlation = vb > 0 && vp > 0 ? cov(p, b) / Math.sqrt(vb * vp) : null;
+  const active = p.map((x, i) => x - b[i]);
+  const te = Math.sqrt(cov(active, active)) * Math.sqrt(252);
+  const up = pairs.filter(x => x.b > 0), down = pairs.filter(x => x.b < 0);
+  const capture = (set) => (set.length && mean(set.map(x => x.b)) !== 0
+    ? mean(set.map(x => x.p)) / mean(set.map(x => x.b)) : null);
+  return {
+    n,
+    beta,
+    alpha: beta == null ? null : (mean(p) - beta * mean(b)) * 252,
+    correlation,
+    r2: correlation == null ? null : correlation ** 2,
+    tracking_error: te,
+    information_ratio: te > 0 ? (mean(active) * 252) / te : null,
+    up_capture: capture(up),
+    down_capture: capture(down),
+  };
+}
+
+// Trailing-window beta -> [{ date, beta }]
+export function rollingBeta(pairs, window = 60) {
+  const out = [];
+  for (let i = window - 1; i < pairs.length; i++) {
+    const w = pairs.slice(i - window + 1, i + 1);
+    const vb = cov(w.map(x => x.b), w.map(x => x.b));
+    out.push({ date: pairs[i].date, beta: vb > 0 ? cov(w.map(x => x.p), w.map(x => x.b)) / vb : null });
+  }
+  return out;
+}
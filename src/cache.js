@@ -0,0 +1,143 @@
+// src/cache.js
+// Offline-first snapshot cache (IndexedDB). Rows from the active data source
+// are stored keyed by [sha256, as_of_utc]; later loads only ask the source for
+// rows newer than the newest cached one. Registry anchors are cached too, so verification still
+// works offline; they are re-read from the chain whenever it is reachable.
+import { readAll, writeAll, clearStore, replaceWhere } from "./idb.js";
+import { activeSource } from "./sources.js";
+import { stableStringify } from "./dataLoader.js";
+import { normHash } from "./util.js";
+import { normalizeSnapshot, validateSnapshot } from "./schema.js";
+
+const SYNC_KEY = "sync";   // localStorage: { api: { at, error }, chain: { at, error }, source }
+
+// ---- sync status (small and synchronous so the header can read it) ----
+
+export function syncStatus() {
+  try { return JSON.parse(localStorage.getItem(SYNC_KEY)) || {}; }
+  catch { return {}; }
+}
+
+function noteSync(source, error = null) {
+  const s = syncStatus();
+  s[source] = error
+    ? { ...s[source], error: error.message || String(error) }
+    : { at: Date.now(), error: null };
+  localStorage.setItem(SYNC_KEY, JSON.stringify(s));
+}
+
+// ---- snapshots ----
+
+// SHA-256 of a row's data as stored. It is re-checked on every read, so an
+// entry that changed inside IndexedDB is re-fetched instead of trusted.
+async function dataHash(data) {
+  const d = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(stableStringify(data)));
+  return Array.from(new Uint8Array(d), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function intact(rows) {
+  const ok = await Promise.all(rows.map(async r => !!r.dataHash && r.dataHash === await dataHash(r.data)));
+  return ok.every(Boolean);
+}
+
+/**
+ * Snapshot rows ({ sha256, as_of_utc, data, issues, verification }) sorted by as_of_utc: the cache
+ * plus anything newer from the active source. When the source is down the
+ * cached rows are returned as-is; with nothing cached, the error is thrown.
+ * `data` is normalised to the internal model and `issues` lists what
+ * validateSnapshot found (see schema.js). `verification` is the last result
+ * saved with saveVerification(), or null for a row never checked.
+ * ("api" in the sync status means whichever source is configured.)
+ */
+export async function loadSnapshots() {
+  const source = activeSource();
+  if (syncStatus().source !== source.key) {
+    // switching source must not mix its rows with the previous one's
+    await clearStore("snapshots").catch(() => {});
+    const s = syncStatus();
+    localStorage.setItem(SYNC_KEY, JSON.stringify({ ...s, api: null, source: source.key }));
+  }
+
+  let cached = await readAll("snapshots").catch((e) => {
+    console.warn("snapshot cache unavailable:", e?.message || e);
+    return null;
+  });
+  if (cached?.length && !(await intact(cached))) {
+    console.warn("snapshot cache failed its integrity check; re-fetching everything");
+    await clearStore("snapshots").catch(() => {});
+    cached = [];
+  }
+  const byKey = new Map((cached || []).map(r => [`${r.sha256}|${r.as_of_utc}`, r]));
+  const newest = (cached || []).reduce((m, r) => (r.as_of_utc > m ? r.as_of_utc : m), "");
+
+  try {
+    const known = new Set((cached || []).map(r => normHash(r.sha256)));
+    const fresh = await source.snapshotsSince(newest || null, known);
+    // a source may ignore `since`, so keep only what we don't already have
+    const added = await Promise.all(fresh
+      .filter(r => !byKey.has(`${r.sha256}|${r.as_of_utc}`))
+      .map(async r => ({ ...r, dataHash: await dataHash(r.data), verification: null })));
+    for (const r of added) byKey.set(`${r.sha256}|${r.as_of_utc}`, r);
+    if (cached && added.length) {
+      await writeAll("snapshots", added).catch(e => console.warn("snapshot cache write failed:", e?.message || e));
+    }
+    noteSync("api");
+  } catch (e) {
+    noteSync("api", e);
+    if (!byKey.size) throw new Error(`Snapshot source unreachable and nothing cached yet (${e.message || e})`);
+    console.warn("snapshot source unreachable, using cache:", e?.message || e);
+  }
+
+  // normalise on the way out so cached rows pick up normaliser changes too
+  return [...byKey.values()]
+    .sort((a, b) => a.as_of_utc.localeCompare(b.as_of_utc))
+    .map(r => {
+      const data = normalizeSnapshot(r.data);
+      return { ...r, data, issues: validateSnapshot(data) };
+    });
+}
+
+/**
+ * Store verification results with the cached rows so they survive a chain
+ * outage. results: [{ sha256, as_of_utc, verification }], where verification
+ * is { verified, registry, index, cid, at }; only rows whose result changed
+ * are written.
+ */
+export async function saveVerification(results) {
+  const cached = await readAll("snapshots");
+  const byKey = new Map(cached.map(r => [`${r.sha256}|${r.as_of_utc}`, r]));
+  const same = (a, b) => a?.verified === b?.verified && a?.registry === b?.registry && a?.index === b?.index;
+  const changed = [];
+  for (const { sha256, as_of_utc, verification } of results) {
+    const row = byKey.get(`${sha256}|${as_of_utc}`);
+    if (row && !same(row.verification, verification)) changed.push({ ...row, verification });
+  }
+  if (changed.length) await writeAll("snapshots", changed);
+}
+
+// ---- anchors ----
+
+/**
+ * Wrap a live read of one registry ([{ index, registry, cid, sha256File, timestamp }]):
+ * on success that registry's cached anchors are replaced (so a redeployed
+ * registry can't leave stale anchors behind); on failure its last cached
+ * anchors are returned.
+ */
+export async function withAnchorCache(registry, readChain) {
+  try {
+    const entries = await readChain();
+    await replaceWhere("anchors", a => a.registry === registry, entries)
+      .catch(e => console.warn("anchor cache write failed:", e?.message || e));
+    return entries;
+  } catch (e) {
+    const cached = (await readAll("anchors").catch(() => [])).filter(a => a.registry === registry);
+    if (!cached.length) throw e;
+    console.warn(`chain unreachable for ${registry}, using cached anchors:`, e?.message || e);
+    return cached.sort((a, b) => a.index - b.index);
+  }
+}
+
+// Record whether the last anchor refresh reached every registry.
+export function noteChainSync(error = null) {
+  noteSync("chain", error);
+}
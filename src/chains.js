@@ -0,0 +1,55 @@
+// src/chains.js
+// Networks and snapshot registries, from configuration only. VITE_CHAINS is a
+// JSON list, RPCs in failover order:
+//
+//   [{ "id": "amoy", "chainId": 80002, "name": "Polygon Amoy",
+//      "rpcs": ["https://rpc-a…", "https://rpc-b…"],
+//      "explorer": "https://amoy.polygonscan.com", "explorerName": "Polygonscan",
+//      "registries": [{ "address": "0x…", "label": "Options book", "fromBlock": 1234567 }] }]
+//
+// fromBlock (optional) is the registry's deployment block. Provenance log
+// scans walk back from the head in VITE_LOG_CHUNK-block steps and stop once
+// every anchor is found, so it only bounds the worst case.
+//
+// Without it, VITE_RPC_URL (comma-separated for failover) and
+// VITE_REGISTRY_ADDR describe a single registry on Amoy, as before.
+
+const AMOY = {
+  id: "amoy",
+  chainId: 80002,
+  name: "Polygon Amoy",
+  explorer: "https://amoy.polygonscan.com",
+  explorerName: "Polygonscan",
+};
+
+const list = (s) => (s || "").split(/[\s,]+/).filter(Boolean);
+
+function loadChains() {
+  const env = import.meta.env || {};
+  if (env.VITE_CHAINS) {
+    try {
+      return JSON.parse(env.VITE_CHAINS).map(c => ({
+        ...c,
+        id: c.id || String(c.chainId),
+        rpcs: Array.isArray(c.rpcs) ? c.rpcs : list(c.rpcs),
+        explorerName: c.explorerName || "Explorer",
+        registries: c.registries || [],
+      }));
+    } catch (e) {
+      console.error("VITE_CHAINS is not valid JSON; falling back to VITE_RPC_URL:", e.message);
+    }
+  }
+  return [{
+    ...AMOY,
+    rpcs: list(env.VITE_RPC_URL),
+    registries: env.VITE_REGISTRY_ADDR ? [{ address: env.VITE_REGISTRY_ADDR }] : [],
+  }];
+}
+
+export const CHAINS = loadChains();
+
+export const explorerAddressUrl = (chain, address) =>
+  chain?.explorer ? `${chain.explorer.replace(/\/+$/, "")}/address/${address}` : null;
+
+export const explorerTxUrl = (chain, hash) =>
+  chain?.explorer ? `${chain.explorer.replace(/\/+$/, "")}/tx/${hash}` : null;
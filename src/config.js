@@ -0,0 +1,63 @@
+// src/config.js
+// Where snapshot data comes from. Env vars give the build defaults
+// (VITE_DATA_SOURCE, VITE_API_URL, VITE_IPFS_GATEWAYS, VITE_STATIC_URL);
+// the Settings view overrides them per browser via localStorage.
+const KEY = "dataSource";
+
+export const SOURCE_KINDS = [
+  { id: "api",    label: "SQLite API" },
+  { id: "ipfs",   label: "IPFS (indexed by the registry)" },
+  { id: "static", label: "Static JSON folder" },
+  { id: "upload", label: "Uploaded files" },
+];
+
+// Path-style gateway bases; an entry may instead be a template containing "{cid}".
+export const DEFAULT_GATEWAYS = ["https://w3s.link", "https://nftstorage.link", "https://dweb.link"];
+export const LOCAL_GATEWAY = "http://127.0.0.1:8080";   // `ipfs daemon`
+
+const list = (s) => (s || "").split(/[\s,]+/).map(x => x.trim()).filter(Boolean);
+
+function envDefaults() {
+  const env = import.meta.env || {};
+  return {
+    kind: env.VITE_DATA_SOURCE || "api",
+    apiUrl: env.VITE_API_URL || "http://127.0.0.1:8000",
+    gateways: list(env.VITE_IPFS_GATEWAYS).length ? list(env.VITE_IPFS_GATEWAYS) : DEFAULT_GATEWAYS,
+    // public/data is copied into the build, so this works in dev and production
+    staticUrl: env.VITE_STATIC_URL || "./data",
+  };
+}
+
+export function getSourceConfig() {
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(KEY)) || {}; } catch { /* defaults */ }
+  const cfg = { ...envDefaults(), ...saved };
+  if (!SOURCE_KINDS.some(k => k.id === cfg.kind)) cfg.kind = "api";
+  return cfg;
+}
+
+export function setSourceConfig(patch) {
+  const next = { ...getSourceConfig(), ...patch };
+  localStorage.setItem(KEY, JSON.stringify(next));
+  return next;
+}
+
+export function resetSourceConfig() {
+  localStorage.removeItem(KEY);
+}
+
+// Human label for the configured source, e.g. "Static JSON folder (./data)".
+export function sourceLabel(cfg = getSourceConfig()) {
+  const label = SOURCE_KINDS.find(k => k.id === cfg.kind).label;
+  return cfg.kind === "api" ? `${label} (${cfg.apiUrl})`
+    : cfg.kind === "static" ? `${label} (${cfg.staticUrl})`
+    : label;
+}
+
+export const apiUrl = () => getSourceConfig().apiUrl.replace(/\/+$/, "");
+
+// Fetchable URLs for a CID or "rootCID/filename" pointer, in preference order.
+export function gatewayUrls(pointer) {
+  return getSourceConfig().gateways.map(g =>
+    g.includes("{cid}") ? g.replace("{cid}", pointer) : `${g.replace(/\/+$/, "")}/ipfs/${pointer}`);
+}
@@ -1,8 +1,11 @@
 // src/contract.js
-import { JsonRpcProvider, Contract } from "ethers";
-
-const RPC = import.meta.env.VITE_RPC_URL;
-const ADDRESS = import.meta.env.VITE_REGISTRY_ADDR;
+// Read-only access to the snapshot registries listed in chains.js. Each chain
+// gets one provider over its RPC list (failover in listed order), so a single
+// flaky endpoint no longer fails a read. Functions take a registry and default
+// to the first one configured; the *All* helpers span every registry.
+import { JsonRpcProvider, FallbackProvider, Contract, Interface, Network } from "ethers";
+import { CHAINS } from "./chains.js";
+import { mapLimit } from "./util.js";
 
 const ABI = [
   {
@@ -36,24 +39,68 @@ const ABI = [
   }
 ];
 
-const provider = new JsonRpcProvider(RPC);
-const contract = new Contract(ADDRESS, ABI, provider);
+const STALL_MS = 2500;   // wait this long on an RPC before also asking the next
+
+function providerFor(chain) {
+  const network = chain.chainId ? Network.from(chain.chainId) : undefined;
+  const rpcs = chain.rpcs.map(url => new JsonRpcProvider(url, network, network ? { staticNetwork: network } : {}));
+  if (rpcs.length <= 1) return rpcs[0] ?? new JsonRpcProvider(undefined, network);
+  return new FallbackProvider(
+    rpcs.map((provider, i) => ({ provider, priority: i + 1, weight: 1, stallTimeout: STALL_MS })),
+    network,
+    { quorum: 1 }
+  );
+}
+
+// [{ key, label, address, chain, provider, contract }] in configuration order
+export const REGISTRIES = CHAINS.flatMap(chain => {
+  const provider = providerFor(chain);
+  return chain.registries.map(r => ({
+    key: `${chain.id}:${r.address.toLowerCase()}`,
+    label: r.label || `${chain.name || chain.id} ${r.address.slice(0, 6)}…${r.address.slice(-4)}`,
+    address: r.address,
+    fromBlock: r.fromBlock ?? 0,   // log scans never go below this (deployment block)
+    chain,
+    provider,
+    contract: new Contract(r.address, ABI, provider),
+  }));
+});
+
+export const PRIMARY_REGISTRY = REGISTRIES[0];
+export const registryByKey = (key) => REGISTRIES.find(r => r.key === key) || PRIMARY_REGISTRY;
 
-// Latest snapshot (cid, sha256File, timestamp-ms)
-export async function getLatestOnChain() {
+function needRegistry(reg) {
+  if (!reg) throw new Error("No snapshot registry configured (VITE_CHAINS or VITE_REGISTRY_ADDR)");
+  return reg;
+}
+
+// Latest snapshot (index, cid, sha256File, timestamp-ms) of one registry
+export async function getLatestOnChain(reg = PRIMARY_REGISTRY) {
+  const { contract } = needRegistry(reg);
   const count = await contract.getSnapshotCount();
-  if (count === 0n) return { cid: null, sha256File: null, timestamp: null };
+  if (count === 0n) return { index: null, cid: null, sha256File: null, timestamp: null, registry: reg.key };
   const { cid, sha256File, timestamp } = await contract.getLatest();
   return {
+    index: Number(count) - 1,
     cid,
     sha256File: String(sha256File).toLowerCase(), // bytes32 -> 0x… string
-    timestamp: Number(timestamp) * 1000           // ms for Date()
+    timestamp: Number(timestamp) * 1000,          // ms for Date()
+    registry: reg.key
   };
 }
 
+// Newest snapshot across every registry (by timestamp). Registries that can't
+// be read are skipped; throws only if none can.
+export async function getLatestOnChainAll() {
+  const results = await Promise.allSettled(REGISTRIES.map(r => getLatestOnChain(r)));
+  const ok = results.filter(r => r.status === "fulfilled").map(r => r.value);
+  if (!ok.length) throw results[0]?.reason ?? needRegistry(null);
+  return ok.reduce((best, x) => ((x.timestamp ?? -1) > (best.timestamp ?? -1) ? x : best));
+}
+
 // Read by index
-export async function getSnapshotByIndex(index) {
-  const { cid, sha256File, timestamp } = await contract.getSnapshot(BigInt(index));
+export async function getSnapshotByIndex(index, reg = PRIMARY_REGISTRY) {
+  const { cid, sha256File, timestamp } = await needRegistry(reg).contract.getSnapshot(BigInt(index));
   return {
     cid,
     sha256File: String(sha256File).toLowerCase(),
@@ -62,7 +109,182 @@ export async function getSnapshotByIndex(index) {
 }
 
 // Snapshot count
-export async function getSnapshotCount() {
-  const n = await contract.getSnapshotCount();
+export async function getSnapshotCount(reg = PRIMARY_REGISTRY) {
+  const n = await needRegistry(reg).contract.getSnapshotCount();
   return Number(n);
-}
\ No newline at end of file
+}
+
+// Every entry of one registry: [{ index, registry, cid, sha256File, timestamp }]
+export async function readRegistry(reg = PRIMARY_REGISTRY) {
+  const n = await getSnapshotCount(reg);
+  return mapLimit(Array.from({ length: n }, (_, i) => i), 8,
+    async (i) => ({ index: i, registry: reg.key, ...(await getSnapshotByIndex(i, reg)) }));
+}
+
+// Chain id and head block of a registry's chain
+export async function getChainInfo(reg = PRIMARY_REGISTRY) {
+  const { provider } = needRegistry(reg);
+  const [net, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+  return { chainId: Number(net.chainId), blockNumber };
+}
+
+// Raw eth_call data for getSnapshot(index), so offline scripts can repeat the read
+export const getSnapshotCalldata = (index) =>
+  needRegistry(PRIMARY_REGISTRY).contract.interface.encodeFunctionData("getSnapshot", [BigInt(index)]);
+
+// The registry's write call and the event it emits, as human-readable
+// fragments. Provenance matches each log to an anchor by the event's `index`
+// (or its cid + sha256File); logs that aren't the event fall back to decoding
+// the tx calldata as the write call (cid, sha256File). Anything else the
+// registry logs (ownership, admin calls, failed publishes) is ignored.
+export const PUBLISH_FN = import.meta.env.VITE_PUBLISH_FN || "function addSnapshot(string cid, bytes32 sha256File)";
+const PUBLISH_EVENT = import.meta.env.VITE_PUBLISH_EVENT
+  || "event SnapshotAdded(uint256 indexed index, string cid, bytes32 sha256File, uint256 timestamp)";
+const EVENT_IFACE = new Interface([PUBLISH_EVENT]);
+const FN_IFACE = new Interface([PUBLISH_FN]);
+
+const LOG_CHUNK = Number(import.meta.env.VITE_LOG_CHUNK) || 5000;   // blocks per eth_getLogs
+const SCAN_SLACK_MS = 24 * 3600 * 1000;   // keep scanning this far before the oldest unresolved anchor
+
+// registry key -> Promise of scan state; chained so concurrent callers share one scan
+//   { anchors: [{ cid, sha256File, timestamp }], entries: Map index -> provenance,
+//     from: lowest block scanned, to: highest block scanned, blocks: Map number -> block,
+//     exhausted: anchor count when the backward pass last hit its time limit, or null }
+const logScans = new Map();
+
+const sameAnchor = (a, cid, hash) =>
+  a.cid === cid && String(a.sha256File).toLowerCase() === String(hash).toLowerCase();
+
+// What a log says was published: { index } or { cid, sha256File }, or null.
+async function decodePublish(log, getTx) {
+  let ev = null;
+  try { ev = EVENT_IFACE.parseLog(log); } catch { /* a different event */ }
+  if (ev) {
+    const args = Object.fromEntries(ev.fragment.inputs.map((inp, k) => [inp.name, ev.args[k]]));
+    if (args.index != null) return { index: Number(args.index) };
+    if (args.cid != null && args.sha256File != null) return { cid: args.cid, sha256File: args.sha256File };
+  }
+  const tx = await getTx(log.transactionHash);
+  let call = null;
+  try { call = tx && FN_IFACE.parseTransaction({ data: tx.data }); } catch { /* not the write call */ }
+  return call ? { cid: call.args[0], sha256File: call.args[1] } : null;
+}
+
+// Match one batch of logs (chain order) to anchors, newest-first when scanning backwards.
+async function resolveLogs(reg, st, logs, backwards) {
+  const { provider } = reg;
+  const txs = new Map();
+  const getTx = (h) => {
+    if (!txs.has(h)) txs.set(h, provider.getTransaction(h));
+    return txs.get(h);
+  };
+  const doneTx = new Set();   // calldata identifies one publish per tx
+  for (const log of backwards ? [...logs].reverse() : logs) {
+    const what = await decodePublish(log, getTx);
+    if (!what) continue;
+    let index = what.index;
+    if (index == null) {
+      if (doneTx.has(log.transactionHash)) continue;
+      const candidates = st.anchors.map((a, i) => i)
+        .filter(i => !st.entries.has(i) && sameAnchor(st.anchors[i], what.cid, what.sha256File));
+      index = backwards ? candidates.pop() : candidates[0];
+    }
+    if (index == null || index >= st.anchors.length || st.entries.has(index)) continue;
+    doneTx.add(log.transactionHash);
+
+    if (!st.blocks.has(log.blockNumber)) st.blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+    const block = st.blocks.get(log.blockNumber);
+    const tx = await getTx(log.transactionHash);
+    st.entries.set(index, {
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTime: block ? block.timestamp * 1000 : null,
+      publisher: tx?.from ?? null
+    });
+  }
+}
+
+async function advanceScan(reg, st, count, head) {
+  const { provider, address, fromBlock } = reg;
+  const getLogs = (lo, hi) => provider.getLogs({ address, fromBlock: lo, toBlock: hi });
+
+  if (st.anchors.length < count) {
+    const more = await mapLimit(Array.from({ length: count - st.anchors.length }, (_, k) => st.anchors.length + k), 8,
+      (i) => getSnapshotByIndex(i, reg));
+    st.anchors.push(...more);
+  }
+
+  // forward: blocks mined since the last scan
+  if (st.to == null) {
+    st.from = head + 1;   // nothing scanned yet: the backward pass starts at head
+    st.to = head;
+  } else {
+    for (let lo = st.to + 1; lo <= head; lo += LOG_CHUNK) {
+      const hi = Math.min(head, lo + LOG_CHUNK - 1);
+      await resolveLogs(reg, st, await getLogs(lo, hi), false);
+      st.to = hi;
+    }
+  }
+
+  // backward in bounded chunks: stop once every anchor is resolved, at the
+  // deployment block, or when blocks get older than any unresolved anchor.
+  // Hitting that time limit is remembered (st.exhausted = anchor count then),
+  // so live polls don't walk another chunk back until new anchors appear.
+  if (st.exhausted === st.anchors.length) return;
+  st.exhausted = null;
+  for (;;) {
+    const open = st.anchors.map((a, i) => i).filter(i => !st.entries.has(i));
+    if (!open.length || st.from <= fromBlock) break;
+    const oldest = Math.min(...open.map(i => st.anchors[i].timestamp));
+    const lo = Math.max(fromBlock, st.from - LOG_CHUNK);
+    await resolveLogs(reg, st, await getLogs(lo, st.from - 1), true);
+    st.from = lo;
+    if (!st.blocks.has(lo)) st.blocks.set(lo, await provider.getBlock(lo));
+    const b = st.blocks.get(lo);
+    if (b && b.timestamp * 1000 < oldest - SCAN_SLACK_MS) {
+      st.exhausted = st.anchors.length;
+      break;
+    }
+  }
+}
+
+/**
+ * Block-level provenance for the anchors of a registry, with confirmations
+ * counted against the current head: Map index -> { txHash, blockNumber,
+ * blockHash, blockTime, publisher, confirmations }. Anchors whose log can't
+ * be found are simply absent; the rest still resolve.
+ */
+export async function getAnchorLogs(reg = PRIMARY_REGISTRY) {
+  const { provider } = needRegistry(reg);
+  const [count, head] = await Promise.all([getSnapshotCount(reg), provider.getBlockNumber()]);
+  const prev = logScans.get(reg.key)
+    ?? Promise.resolve({ anchors: [], entries: new Map(), from: null, to: null, blocks: new Map(), exhausted: null });
+  const next = prev.catch(() => ({ anchors: [], entries: new Map(), from: null, to: null, blocks: new Map(), exhausted: null }))
+    .then(async (st) => {
+      await advanceScan(reg, st, count, head).catch((e) => {
+        console.warn(`registry log scan incomplete for ${reg.label}:`, e?.message || e);
+      });
+      return st;
+    });
+  logScans.set(reg.key, next);
+  const st = await next;
+  return new Map([...st.entries].map(([i, e]) => [i, { ...e, confirmations: head - e.blockNumber + 1 }]));
+}
+
+// Provenance of one anchor, or null when it can't be resolved from the logs.
+export async function getAnchorLog(index, reg = PRIMARY_REGISTRY) {
+  return (await getAnchorLogs(reg)).get(index) ?? null;
+}
+
+// Call cb(registryKey) on any log a registry emits (ethers polls the RPCs
+// underneath); returns an unsubscribe function.
+export function onRegistryActivity(cb) {
+  const subs = REGISTRIES.map(reg => {
+    const filter = { address: reg.address };
+    const fn = () => cb(reg.key);
+    reg.provider.on(filter, fn);
+    return () => reg.provider.off(filter, fn);
+  });
+  return () => subs.forEach(off => off());
+}
@@ -0,0 +1,64 @@
+// src/currency.js
+// Reporting-currency conversion. Account values arrive as numbers, as
+// { value, currency } objects or as raw IBKR strings like "17013.72 USD" /
+// "-455.57 BASE"; "BASE" means the snapshot's account base currency.
+//
+// FX rates are quoted as units of currency per 1 unit of `base`
+// ({ base: "USD", rates: { EUR: 0.92, GBP: 0.79 } }), read from the snapshot
+// (`fx_rates` at top level or in payload) or else from the API.
+
+export const REPORTING_CCYS = ["USD", "EUR", "GBP", "CHF"];
+const CCY_KEY = 'reportingCcy';
+
+export function getReportingCcy() {
+  const c = localStorage.getItem(CCY_KEY);
+  return REPORTING_CCYS.includes(c) ? c : "USD";
+}
+export function setReportingCcy(c) {
+  localStorage.setItem(CCY_KEY, REPORTING_CCYS.includes(c) ? c : "USD");
+}
+
+export const baseCcyOf = (json) => json?.account_base_ccy || json?.meta?.currency || "USD";
+
+/** "17013.72 USD" | 17013.72 | { value, currency } -> { amount, ccy } (amount null if unparsable) */
+export function parseMoney(v, fallbackCcy = "BASE") {
+  if (v != null && typeof v === "object") {
+    const inner = parseMoney(v.value, v.currency || fallbackCcy);
+    return { amount: inner.amount, ccy: v.currency || inner.ccy };
+  }
+  if (typeof v === "number") return { amount: isFinite(v) ? v : null, ccy: fallbackCcy };
+  const m = /^\s*([-+]?[\d,]*\.?\d+(?:e[-+]?\d+)?)\s*([A-Za-z]{3,4})?\s*$/i.exec(String(v ?? ""));
+  if (!m) return { amount: null, ccy: fallbackCcy };
+  return { amount: Number(m[1].replace(/,/g, "")), ccy: (m[2] || fallbackCcy).toUpperCase() };
+}
+
+// { base, rates } from a snapshot, else the API's latest, else USD-only
+function ratesFor(json, apiRates) {
+  const src = json?.fx_rates || json?.payload?.fx_rates || apiRates;
+  if (!src?.rates) return { base: "USD", rates: { USD: 1 } };
+  return { base: src.base || "USD", rates: { ...src.rates, [src.base || "USD"]: 1 } };
+}
+
+/**
+ * Converter for one snapshot into reporting currency `to`.
+ * fx.to(amount, ccy) -> Number | null (null when a rate is missing; see fx.missing)
+ */
+export function fxFor(json, to = getReportingCcy(), apiRates = null) {
+  const { rates } = ratesFor(json, apiRates);
+  const base = baseCcyOf(json);
+  const missing = new Set();
+  return {
+    ccy: to,
+    missing,
+    to(amount, ccy = "BASE") {
+      if (amount == null || !isFinite(Number(amount))) return null;
+      const from = ccy === "BASE" ? base : ccy;
+      if (from === to) return Number(amount);
+      if (!rates[from] || !rates[to]) { missing.add(rates[from] ? to : from); return null; }
+      return (Number(amount) / rates[from]) * rates[to];
+    },
+  };
+}
+
+// Identity converter (no FX) for callers that only need raw numbers
+export const NO_FX = { ccy: null, missing: new Set(), to: (amount) => (amount == null || !isFinite(Number(amount)) ? null : Number(amount)) };
@@ -1,6 +1,13 @@
 // src/dataLoader.js
 // Fetch snapshot by file CID *or* "rootCID/filename" path and verify SHA-256.
 // If expectedHex (on-chain bytes32) is provided, verify against that first.
+import { sha256 } from "@noble/hashes/sha256";
+import { apiUrl } from "./config.js";
+import { rankedGateways, recordGateway } from "./gateways.js";
+
+const RACE_WIDTH = 2;          // gateways started at once
+const HEDGE_MS = 3000;         // then one more whenever this passes with no winner
+const GATEWAY_TIMEOUT_MS = 15000;
 
 async function fetchWithTimeout(url, ms = 15000) {
   const ctl = new AbortController();
@@ -15,7 +22,7 @@ function toHex(u8) {
 }
 
 // Deterministic stringify: sort object keys, no spaces, stable arrays.
-function stableStringify(x) {
+export function stableStringify(x) {
   if (x === null || typeof x !== "object") return JSON.stringify(x);
   if (Array.isArray(x)) return "[" + x.map(stableStringify).join(",") + "]";
   const keys = Object.keys(x).sort();
@@ -24,94 +31,237 @@ function stableStringify(x) {
 }
 
 /**
- * pointer:
- *  - "bafy...FILECID"                          (file CID)
- *  - "bafy...ROOTCID/snapshot.canonical.json"  (root CID + filename path)
+ * Hash fetched snapshot bytes and check them the same three ways as ever.
  * expectedHex (optional): bytes32 like "0xabc..." from chain
+ * Throws if the bytes are not JSON.
  */
-export async function fetchAndVerifyByCID(pointer, expectedHex) {
-  if (!pointer) throw new Error("No CID provided");
+export async function verifyBytes(bytes, expectedHex) {
+  const fileHash = toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes))).toLowerCase();
+  return verifyText(new TextDecoder().decode(bytes), fileHash, expectedHex);
+}
 
-  const isPath = pointer.includes("/");
-  const gateways = isPath
-    ? [
-        `https://w3s.link/ipfs/${pointer}`,
-        `https://nftstorage.link/ipfs/${pointer}`,
-        `https://dweb.link/ipfs/${pointer}`,
-      ]
-    : [
-        `https://${pointer}.ipfs.w3s.link`,
-        `https://${pointer}.ipfs.nftstorage.link`,
-        `https://${pointer}.ipfs.dweb.link`,
-      ];
+// The checks behind verifyBytes, for text whose file-bytes hash is already
+// known (fetchFromGateway hashes while it streams).
+async function verifyText(text, fileHash, expectedHex) {
+  const json = JSON.parse(text.replace(/^\uFEFF/, ""));
 
+  // Hash #1: file-bytes (exact bytes fetched) — fileHash
+
+  // Hash #2: canonical JSON EXCLUDING 'sha256' (legacy support)
+  const clone = JSON.parse(text.replace(/^\uFEFF/, ""));
+  delete clone.sha256;
+  const canonStr = stableStringify(clone);
+  const digest2 = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(canonStr));
+  const canonicalHash = toHex(new Uint8Array(digest2)).toLowerCase();
+
+  const inFile = (json.sha256 || "").toLowerCase();
   const expected = (expectedHex || "").toLowerCase().replace(/^0x/, "");
 
-  let lastErr;
-  for (const url of gateways) {
-    try {
-      const res = await fetchWithTimeout(url, 15000);
-      if (!res.ok) { lastErr = new Error(`${url} -> ${res.status}`); continue; }
+  let ok = false;
+  let mode = "";
+  if (expected) {                      // prefer on-chain
+    ok = fileHash === expected;
+    mode = "on-chain-file-bytes";
+  } else if (inFile && inFile === fileHash) {
+    ok = true; mode = "file-bytes";
+  } else if (inFile && inFile === canonicalHash) {
+    ok = true; mode = "canonical-minus-sha256";
+  }
 
-      const bytes = new Uint8Array(await res.arrayBuffer());
-      const text  = new TextDecoder().decode(bytes);
+  return {
+    ok,
+    mode,                           // "on-chain-file-bytes" | "file-bytes" | "canonical-minus-sha256" | ""
+    sha256_onchain: expectedHex || null,
+    sha256_expected: inFile || null,
+    sha256_file: fileHash,
+    sha256_canonical: canonicalHash,
+    json,
+  };
+}
+
+// Download one gateway URL as a stream: each chunk goes into an incremental
+// SHA-256 as it arrives and is decoded straight to text, so the file bytes
+// are never buffered, only the text JSON.parse needs. An HTML error page is
+// dropped on its first chunk. The decoder is strict and keeps a BOM, so the
+// text re-encodes to exactly the bytes that were hashed.
+async function fetchFromGateway(url, signal) {
+  const t0 = performance.now();
+  const res = await fetch(url, { cache: "no-store", signal });
+  if (!res.ok) throw new Error(`${url} -> ${res.status}`);
 
-      if (text.startsWith("<!DOCTYPE") || text.startsWith("<html")) {
-        lastErr = new Error(`${url} -> HTML response (not JSON)`); continue;
+  const hasher = sha256.create();
+  const decoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true });
+  const parts = [];
+  let len = 0;
+  const take = (chunk) => {
+    if (!len) {
+      const head = new TextDecoder().decode(chunk.subarray(0, 64)).trimStart();
+      if (head.startsWith("<!DOCTYPE") || head.startsWith("<html")) {
+        throw new Error(`${url} -> HTML response (not JSON)`);
       }
+    }
+    hasher.update(chunk);
+    parts.push(decoder.decode(chunk, { stream: true }));
+    len += chunk.length;
+  };
 
-      const json = JSON.parse(text);
-
-      // Hash #1: file-bytes (exact bytes fetched)
-      const digest1 = await crypto.subtle.digest("SHA-256", bytes);
-      const fileHash = toHex(new Uint8Array(digest1)).toLowerCase();
-
-      // Hash #2: canonical JSON EXCLUDING 'sha256' (legacy support)
-      const clone = JSON.parse(text);
-      delete clone.sha256;
-      const canonStr = stableStringify(clone);
-      const digest2 = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(canonStr));
-      const canonicalHash = toHex(new Uint8Array(digest2)).toLowerCase();
-
-      const inFile = (json.sha256 || "").toLowerCase();
-
-      let ok = false;
-      let mode = "";
-      if (expected) {                      // prefer on-chain
-        ok = fileHash === expected;
-        mode = "on-chain-file-bytes";
-      } else if (inFile && inFile === fileHash) {
-        ok = true; mode = "file-bytes";
-      } else if (inFile && inFile === canonicalHash) {
-        ok = true; mode = "canonical-minus-sha256";
+  if (res.body?.getReader) {
+    const reader = res.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      try { take(value); } catch (e) { reader.cancel(); throw e; }
+    }
+  } else {
+    take(new Uint8Array(await res.arrayBuffer()));
+  }
+  parts.push(decoder.decode());
+
+  return { text: parts.join(""), fileHash: toHex(hasher.digest()), url, ms: Math.round(performance.now() - t0) };
+}
+
+/**
+ * Race the best-ranked gateways (see gateways.js) for a pointer: RACE_WIDTH
+ * start, the next one starts when one fails or every HEDGE_MS without a
+ * winner, the first complete download wins and the rest are aborted. Every
+ * finished attempt updates gateway health.
+ */
+async function raceGateways(pointer) {
+  const queue = rankedGateways(pointer);
+  if (!queue.length) throw new Error("No IPFS gateways configured");
+
+  return new Promise((resolve, reject) => {
+    const inFlight = new Set();
+    const errors = [];
+    let settled = false;
+    let width = RACE_WIDTH;
+
+    const launch = () => {
+      while (!settled && inFlight.size < width && queue.length) {
+        const { gateway, url } = queue.shift();
+        const ctl = new AbortController();
+        const timer = setTimeout(() => ctl.abort(new Error(`${url} -> timed out`)), GATEWAY_TIMEOUT_MS);
+        inFlight.add(ctl);
+        fetchFromGateway(url, ctl.signal).then((r) => {
+          recordGateway(gateway, true, r.ms);
+          if (settled) return;
+          settled = true;
+          clearInterval(hedge);
+          for (const c of inFlight) if (c !== ctl) c.abort();
+          resolve(r);
+        }, (e) => {
+          if (settled) return;               // a loser we aborted ourselves
+          const msg = e?.message || String(e);
+          recordGateway(gateway, false, 0, msg);
+          errors.push(msg);
+        }).finally(() => {
+          clearTimeout(timer);
+          inFlight.delete(ctl);
+          if (settled) return;
+          if (queue.length) launch();
+          else if (!inFlight.size) {
+            settled = true;
+            clearInterval(hedge);
+            reject(new Error(`All IPFS gateways failed: ${errors.join("; ")}`));
+          }
+        });
       }
+    };
+    launch();
+    const hedge = setInterval(() => {
+      if (settled || !queue.length) return clearInterval(hedge);
+      width++;
+      launch();
+    }, HEDGE_MS);
+  });
+}
 
-      return {
-        ok,
-        mode,                           // "on-chain-file-bytes" | "file-bytes" | "canonical-minus-sha256" | ""
-        sha256_onchain: expectedHex || null,
-        sha256_expected: inFile || null,
-        sha256_file: fileHash,
-        sha256_canonical: canonicalHash,
-        json,
-        url,
-      };
+/**
+ * pointer:
+ *  - "bafy...FILECID"                          (file CID)
+ *  - "bafy...ROOTCID/snapshot.canonical.json"  (root CID + filename path)
+ * expectedHex (optional): bytes32 like "0xabc..." from chain
+ * Gateways come from the data-source settings (see config.js), raced in
+ * health order (see raceGateways).
+ */
+export async function fetchAndVerifyByCID(pointer, expectedHex) {
+  if (!pointer) throw new Error("No CID provided");
+  const { text, fileHash, url } = await raceGateways(pointer);
+  const v = await verifyText(text, fileHash, expectedHex);
+  // the raw file only for callers that need it (proof bundles)
+  return { ...v, url, get bytes() { return new TextEncoder().encode(text); } };
+}
 
+// Fetch a pointer from every configured gateway separately (no race) to
+// refresh their health records; resolves to [{ gateway, ok, ms, error }].
+export async function probeGateways(pointer) {
+  return Promise.all(rankedGateways(pointer).map(async ({ gateway, url }) => {
+    const ctl = new AbortController();
+    const timer = setTimeout(() => ctl.abort(new Error(`${url} -> timed out`)), GATEWAY_TIMEOUT_MS);
+    try {
+      const r = await fetchFromGateway(url, ctl.signal);
+      recordGateway(gateway, true, r.ms);
+      return { gateway, ok: true, ms: r.ms, error: null };
     } catch (e) {
-      lastErr = e;
+      const error = e?.message || String(e);
+      recordGateway(gateway, false, 0, error);
+      return { gateway, ok: false, ms: null, error };
+    } finally {
+      clearTimeout(timer);
     }
-  }
-  throw lastErr ?? new Error("All IPFS gateways failed");
+  }));
 }
 
 // --- New: Fetch snapshots directly from local API (SQLite) ---
 export async function fetchFromAPI() {
   try {
-    const res = await fetch("http://127.0.0.1:8000/snapshots");
+    const res = await fetch(`${apiUrl()}/snapshots`);
     if (!res.ok) throw new Error(`API fetch failed: ${res.status}`);
     return await res.json();
   } catch (err) {
     console.error("fetchFromAPI error:", err);
     return [];
   }
-}
\ No newline at end of file
+}
+
+// Snapshot rows newer than `since` (an as_of_utc string; null = all).
+// Unlike fetchFromAPI this throws, so callers can tell "down" from "empty".
+export async function fetchSnapshotsSince(since) {
+  const q = since ? `?since=${encodeURIComponent(since)}` : "";
+  const res = await fetchWithTimeout(`${apiUrl()}/snapshots${q}`, 15000);
+  if (!res.ok) throw new Error(`API fetch failed: ${res.status}`);
+  const rows = await res.json();
+  return since ? rows.filter(r => r.as_of_utc > since) : rows;
+}
+
+// External cash flows (deposits +, withdrawals -) from the API ledger.
+// [{ trade_day: "YYYY-MM-DD", amount: Number }]; [] when the endpoint is absent.
+export async function fetchCashFlows() {
+  try {
+    const res = await fetch(`${apiUrl()}/cashflows`);
+    if (!res.ok) throw new Error(`API fetch failed: ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.warn("fetchCashFlows:", err.message || err);
+    return [];
+  }
+}
+
+// Latest FX rates from the API: { base, rates: { CCY: units per 1 base } }, or null.
+export async function fetchFxRates() {
+  try {
+    const res = await fetch(`${apiUrl()}/fx`);
+    if (!res.ok) throw new Error(`API fetch failed: ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.warn("fetchFxRates:", err.message || err);
+    return null;
+  }
+}
+
+// Benchmark closes: [{ trade_day, Zartrad, <KEY>: close, ... }]; throws when unavailable.
+export async function fetchBenchmarks() {
+  const res = await fetch(`${apiUrl()}/benchmarks`);
+  if (!res.ok) throw new Error("Failed to fetch benchmarks");
+  return await res.json();
+}
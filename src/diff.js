@@ -0,0 +1,56 @@
+// src/diff.js
+// Day-over-day comparison of two snapshot payloads (positions + account values).
+import { CONSOLIDATED, accountValue } from "./accounts.js";
+import { NO_FX } from "./currency.js";
+
+// Same leg across days: prefer IBKR conId, else the contract description.
+const legKey = (p) => p.conId != null
+  ? `id:${p.conId}`
+  : [p.secType, p.symbol, p.expiry, p.strike, p.right].map(x => x ?? "").join("|");
+
+const num = (x) => (x == null || !isFinite(Number(x)) ? null : Number(x));
+const delta = (a, b) => (a == null || b == null ? null : b - a);
+
+/**
+ * positions: [{ key, status: "opened"|"closed"|"resized"|"unchanged", before, after, qtyDelta, pnlDelta }]
+ * before/after are the raw position objects (null when absent on that side);
+ * fxBefore/fxAfter convert each side's base-currency PnL (currency.js fxFor)
+ */
+export function diffPositions(beforeList = [], afterList = [], fxBefore = NO_FX, fxAfter = NO_FX) {
+  const before = new Map(beforeList.map(p => [legKey(p), p]));
+  const after = new Map(afterList.map(p => [legKey(p), p]));
+  const keys = [...new Set([...before.keys(), ...after.keys()])];
+
+  const order = { opened: 0, closed: 1, resized: 2, unchanged: 3 };
+  return keys.map(key => {
+    const b = before.get(key) || null;
+    const a = after.get(key) || null;
+    const qb = num(b?.position) ?? 0;
+    const qa = num(a?.position) ?? 0;
+    let status = "unchanged";
+    if (!b || qb === 0) status = qa === 0 ? "unchanged" : "opened";
+    else if (!a || qa === 0) status = "closed";
+    else if (qa !== qb) status = "resized";
+    return {
+      key, status, before: b, after: a,
+      qtyDelta: qa - qb,
+      pnlDelta: delta(fxBefore.to(b?.unrealizedPnL ?? 0, "BASE"), fxAfter.to(a?.unrealizedPnL ?? 0, "BASE")),
+    };
+  }).sort((x, y) => order[x.status] - order[y.status] || x.key.localeCompare(y.key));
+}
+
+// [{ label, before, after, delta }] for the headline values of one account selection
+export function diffAccounts(accountsBefore = {}, accountsAfter = {}, sel = CONSOLIDATED, fxBefore = NO_FX, fxAfter = NO_FX) {
+  const rows = [
+    { label: "Net Liquidation", field: "NetLiquidation" },
+    { label: "Total Cash",      field: "TotalCashValue" },
+    { label: "Buying Power",    field: "BuyingPower" },
+    { label: "Unrealized PnL",  field: "UnrealizedPnL" },
+    { label: "Realized PnL",    field: "RealizedPnL" },
+  ];
+  return rows.map(({ label, field }) => {
+    const b = accountValue(accountsBefore, field, sel, fxBefore);
+    const a = accountValue(accountsAfter, field, sel, fxAfter);
+    return { label, before: b, after: a, delta: delta(b, a) };
+  });
+}
@@ -0,0 +1,80 @@
+// src/exposure.js
+// Aggregate positions into gross/net/delta-adjusted notional by underlying,
+// security type and expiry bucket. Option notional uses the underlying price
+// when known (else strike); delta-adjusted needs the solved Greeks.
+import { analyzeLegs, parseOptionLeg, daysToExpiry } from "./options.js";
+import { NO_FX } from "./currency.js";
+
+const BUCKETS = ["≤7d", "8–30d", "31–90d", ">90d", "No expiry"];
+
+function expiryBucket(dte) {
+  if (dte == null) return "No expiry";
+  if (dte <= 7) return "≤7d";
+  if (dte <= 30) return "8–30d";
+  if (dte <= 90) return "31–90d";
+  return ">90d";
+}
+
+function add(map, key, row) {
+  const g = map.get(key) || { key, gross: 0, net: 0, delta: 0, deltaKnown: true, legs: 0 };
+  g.gross += Math.abs(row.notional);
+  g.net += row.notional;
+  if (row.delta == null) g.deltaKnown = false; else g.delta += row.delta;
+  g.legs++;
+  map.set(key, g);
+}
+
+/**
+ * ctx: { spots, asOfMs, rate, fx (currency.js), netLiq (reporting ccy) }
+ * -> { byUnderlying, bySecType, byExpiry, totals } where each group row is
+ *    { key, gross, net, delta, deltaKnown, legs, pctNetLiq, pctGross, share }
+ *    (pctGross = gross / NetLiquidation, the concentration measure;
+ *     share = gross / total gross, used instead when NetLiquidation is unknown)
+ */
+export function exposureBreakdown(positions, { spots = {}, asOfMs = Date.now(), rate = 0.04, fx = NO_FX, netLiq = null } = {}) {
+  const legs = new Map(analyzeLegs(positions, { spots, asOfMs, rate }).map(r => [r.p, r]));
+  const byU = new Map(), byT = new Map(), byE = new Map();
+
+  for (const p of positions || []) {
+    const qty = Number(p.position) || 0;
+    if (!qty) continue;
+    const leg = parseOptionLeg(p);
+    const a = legs.get(p);
+    const ccy = p.currency || "BASE";
+    let notional, delta, dte = null, underlying = p.symbol;
+    if (leg) {
+      const px = a?.S ?? leg.strike;
+      notional = fx.to(qty * leg.multiplier * px, ccy) ?? 0;
+      delta = a?.posDelta != null && a.S ? fx.to(a.posDelta * a.S, ccy) : null;
+      dte = daysToExpiry(leg.expiry, asOfMs);
+      underlying = leg.underlying;
+    } else {
+      const px = Number(p.lastPrice ?? p.marketPrice) || Number(p.avgPrice) || 0;
+      const mult = Number(p.multiplier) || 1;
+      notional = fx.to(qty * mult * px, ccy) ?? 0;
+      delta = notional; // linear instruments: delta 1
+      if (p.expiry) dte = daysToExpiry(String(p.expiry).replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3"), asOfMs);
+    }
+    const row = { notional, delta };
+    add(byU, underlying, row);
+    add(byT, p.secType || "?", row);
+    add(byE, expiryBucket(dte), row);
+  }
+
+  const totalGross = [...byU.values()].reduce((a, g) => a + g.gross, 0);
+  const finish = (map, order) => [...map.values()]
+    .map(g => ({
+      ...g,
+      share: totalGross ? g.gross / totalGross : 0,
+      pctGross: netLiq ? g.gross / netLiq : null,
+      pctNetLiq: netLiq && g.deltaKnown ? g.delta / netLiq : null,
+    }))
+    .sort(order || ((a, b) => b.gross - a.gross));
+
+  return {
+    byUnderlying: finish(byU),
+    bySecType: finish(byT),
+    byExpiry: finish(byE, (a, b) => BUCKETS.indexOf(a.key) - BUCKETS.indexOf(b.key)),
+    totals: { gross: totalGross, netLiq },
+  };
+}
@@ -0,0 +1,33 @@
+// src/format.js
+// Display formatters shared by the views.
+
+export const fmtMoney = (s, ccy = 'USD') => {
+  if (s == null) return "—";
+  const n = Number(s);
+  return isFinite(n)
+    ? new Intl.NumberFormat('en-US', { style: 'currency', currency: ccy, maximumFractionDigits: 2 }).format(n)
+    : s;
+};
+export const fmtUsd = (s) => fmtMoney(s, 'USD');
+export const fmtPct = (s) => (s == null ? "—" : `${s}%`);
+export const shortHash = (h) => (h ? `${h.slice(0, 10)}…${h.slice(-6)}` : "—");
+export const symOpt = (p) => `${p.symbol} ${p.expiry} ${p.strike} ${p.right?.[0] ?? ""}`.trim();
+export const fmtSigned = (n, fmt) => (n == null ? "—" : (n > 0 ? "+" : "") + fmt(n));
+
+export function nyTradingDay(isoUtc) {
+  if (!isoUtc || isoUtc === "n/a") return "n/a";
+  const d = new Date(isoUtc);
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: "America/New_York",
+    year: "numeric", month: "2-digit", day: "2-digit"
+  }).format(d); // YYYY-MM-DD
+}
+
+export function nyTimestamp(isoUtc) {
+  if (!isoUtc || isoUtc === "n/a") return "n/a";
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).format(new Date(isoUtc));
+}
@@ -0,0 +1,61 @@
+// src/gateways.js
+// IPFS gateway health: a per-gateway record persisted in localStorage that
+// orders gateways for the racing fetcher in dataLoader.js. Failures put a
+// gateway into exponential backoff; it stays usable, just tried last.
+import { gatewayUrls, getSourceConfig } from "./config.js";
+
+const HEALTH_KEY = "gatewayHealth";
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const EWMA = 0.3;                      // weight of the newest latency sample
+
+// { [gateway]: { ok, fail, streak, latencyMs, lastError, backoffUntil } }
+export function gatewayHealth() {
+  try { return JSON.parse(localStorage.getItem(HEALTH_KEY)) || {}; }
+  catch { return {}; }
+}
+
+export function resetGatewayHealth() {
+  localStorage.removeItem(HEALTH_KEY);
+}
+
+/** Record one attempt. ms: full download time on success (ignored on failure). */
+export function recordGateway(gateway, ok, ms, error) {
+  const all = gatewayHealth();
+  const h = all[gateway] || { ok: 0, fail: 0, streak: 0, latencyMs: null, lastError: null, backoffUntil: 0 };
+  if (ok) {
+    h.ok++;
+    h.streak = 0;
+    h.backoffUntil = 0;
+    h.latencyMs = h.latencyMs == null ? ms : Math.round(EWMA * ms + (1 - EWMA) * h.latencyMs);
+  } else {
+    h.fail++;
+    h.streak++;
+    h.lastError = error || null;
+    h.backoffUntil = Date.now() + Math.min(BACKOFF_BASE_MS * 2 ** (h.streak - 1), BACKOFF_MAX_MS);
+  }
+  all[gateway] = h;
+  localStorage.setItem(HEALTH_KEY, JSON.stringify(all));
+}
+
+// Lower is better: latency inflated by failure rate; unknown gateways sit mid-pack.
+function score(h) {
+  if (!h) return 2000;
+  const rate = (h.ok + 1) / (h.ok + h.fail + 2);
+  return (h.latencyMs ?? 2000) / rate;
+}
+
+/**
+ * Configured gateways for a pointer, best first: [{ gateway, url, backedOff }].
+ * Gateways in backoff go last instead of being dropped, so a fetch can still
+ * succeed when every gateway has had a bad minute.
+ */
+export function rankedGateways(pointer) {
+  const health = gatewayHealth();
+  const now = Date.now();
+  const urls = gatewayUrls(pointer);
+  return getSourceConfig().gateways
+    .map((gateway, i) => ({ gateway, url: urls[i], backedOff: (health[gateway]?.backoffUntil || 0) > now, order: i }))
+    .sort((a, b) => (a.backedOff - b.backedOff) || (score(health[a.gateway]) - score(health[b.gateway])) || (a.order - b.order))
+    .map(({ gateway, url, backedOff }) => ({ gateway, url, backedOff }));
+}
@@ -1,55 +1,128 @@
 // src/history.js
-import { fetchFromAPI } from "./dataLoader.js";
-import { getSnapshotCount, getSnapshotByIndex } from "./contract.js";
+import { getSnapshotByIndex, readRegistry, REGISTRIES } from "./contract.js";
 import { fetchAndVerifyByCID } from "./dataLoader.js";
+import { normHash } from "./util.js";
+import { CONSOLIDATED, accountValue } from "./accounts.js";
+import { fxFor, NO_FX } from "./currency.js";
+import { loadSnapshots, saveVerification, withAnchorCache, noteChainSync } from "./cache.js";
 
-const isZeroHash = (h) => !h || /^0x0+$/i.test(h);
+export const isZeroHash = (h) => !h || /^0x0+$/i.test(h);
 
 async function loadSnapshot(i) {
   const { cid, sha256File, timestamp } = await getSnapshotByIndex(i);
   const expected = isZeroHash(sha256File) ? null : sha256File;
 
-  // retry up to 3 times; your loader already rotates 3 gateways each time
-  let lastErr;
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      const r = await fetchAndVerifyByCID(cid, expected);
-      if (r?.json) return { cid, sha256File, timestamp, json: r.json, verified: !!r.ok };
-    } catch (e) {
-      lastErr = e;
-    }
+  // one raced fetch already covers every gateway (see dataLoader.js raceGateways)
+  try {
+    const r = await fetchAndVerifyByCID(cid, expected);
+    if (r?.json) return { cid, sha256File, timestamp, json: r.json, verified: !!r.ok };
+  } catch (e) {
+    console.warn("snapshot fetch failed @ index", i, e?.message || e);
   }
-  console.warn("snapshot fetch failed @ index", i, (lastErr && lastErr.message) || lastErr);
   return null;
 }
 
+// All non-zero on-chain anchors across every registry, merged by timestamp and
+// keyed by normalised sha256File (no IPFS fetches). A registry that can't be
+// read falls back to its cached anchors; if a hash is anchored twice, the
+// earliest anchor wins.
+export async function fetchAnchors() {
+  let chainError = null;
+  const perRegistry = await Promise.all(REGISTRIES.map(reg =>
+    withAnchorCache(reg.key, () => readRegistry(reg).catch((e) => { chainError ??= e; throw e; }))
+      .catch(() => null)));
+  noteChainSync(chainError);
+  if (chainError && perRegistry.every(x => x == null)) throw chainError;
+
+  const entries = perRegistry.flatMap(x => x || []).sort((a, b) => a.timestamp - b.timestamp);
+  const byHash = new Map();
+  for (const e of entries) {
+    const h = normHash(e.sha256File);
+    if (!isZeroHash(e.sha256File) && !byHash.has(h)) byHash.set(h, e);
+  }
+  return byHash;
+}
+
+// Newest anchor in a fetchAnchors() map ({ cid, sha256File, timestamp, registry }), or null.
+export function latestAnchor(anchors) {
+  let best = null;
+  for (const a of anchors.values()) if (!best || a.timestamp > best.timestamp) best = a;
+  return best;
+}
+
 // --- Replace fetchAllSnapshots with SQLite API version ---
+// Rows come from the offline cache + API; `verified` means the row's sha256 is anchored on-chain.
+// Each row is re-checked against the anchors on every load and the result is
+// saved with the cached row; with no anchors at all (chain down, nothing
+// cached) the last saved result is shown instead.
+// Throws when neither the API nor the cache has anything.
 export async function fetchAllSnapshots() {
-  try {
-    const snaps = await fetchFromAPI();
-    // Format them like before: array of {timestamp, json, verified, ...}
-    return snaps.map(s => ({
-      cid: null, // not needed anymore
-      sha256File: s.sha256,
-      timestamp: new Date(s.as_of_utc).getTime(),
-      json: s.data,
-      verified: true
-    }));
-  } catch (e) {
-    console.error("fetchAllSnapshots API failed:", e);
-    return [];
+  const [snaps, anchors] = await Promise.all([
+    loadSnapshots(),
+    fetchAnchors().catch((e) => {
+      console.warn("fetchAnchors failed, showing the last saved verification:", e?.message || e);
+      return null;
+    }),
+  ]);
+  const checks = snaps.map(s => {
+    if (!anchors) return s.verification ?? { verified: false, registry: null, index: null, cid: null, at: null };
+    const anchor = anchors.get(normHash(s.sha256)) || null;
+    return { verified: !!anchor, registry: anchor?.registry ?? null, index: anchor?.index ?? null,
+             cid: anchor?.cid ?? null, at: Date.now() };
+  });
+  if (anchors) {
+    saveVerification(snaps.map((s, i) => ({ sha256: s.sha256, as_of_utc: s.as_of_utc, verification: checks[i] })))
+      .catch(e => console.warn("verification cache write failed:", e?.message || e));
   }
+  // Format them like before: array of {timestamp, json, verified, ...}
+  return snaps.map((s, i) => ({
+    cid: checks[i].cid,
+    sha256File: s.sha256,
+    timestamp: new Date(s.as_of_utc).getTime(),
+    json: s.data,
+    verified: checks[i].verified,
+    anchorIndex: checks[i].index,
+    registry: checks[i].registry,
+    issues: s.issues || []
+  }));
 }
 
-export function buildEquitySeries(snaps) {
+// External deposits(+)/withdrawals(-) recorded in a snapshot, if any:
+// payload.cash_flows as a Number or [{ amount, currency?, account? }]; base currency by default
+function snapshotCashFlow(json, account, fx) {
+  const cf = json?.payload?.cash_flows ?? json?.cash_flows;
+  if (Array.isArray(cf)) {
+    return cf
+      .filter(f => account === CONSOLIDATED || f?.account == null || f.account === account)
+      .reduce((a, f) => a + (fx.to(f?.amount, f?.currency || "BASE") || 0), 0);
+  }
+  return fx.to(cf, "BASE") || 0;
+}
+
+/**
+ * account: an id from payload.accounts, or CONSOLIDATED for the sum of all
+ * ccy: reporting currency; each snapshot converts with its own FX rates,
+ *      falling back to apiRates ({ base, rates }) when it carries none
+ */
+export function buildEquitySeries(snaps, account = CONSOLIDATED, ccy = "USD", apiRates = null) {
   const rows = snaps.map((s) => {
     const dateNY = new Intl.DateTimeFormat("en-CA", {
       timeZone: "America/New_York", year: "numeric", month: "2-digit", day: "2-digit"
     }).format(new Date(s.json?.as_of_utc || 0)); // <-- your snapshots are "prior NY close"
     const accounts = s.json?.payload?.accounts || {};
-    const acctKey = Object.keys(accounts).find(k => k !== "All");
-    const netliq = Number(accounts[acctKey]?.NetLiquidation?.value ?? 0);
-    return { date: dateNY, equity: netliq };
+    const fx = fxFor(s.json, ccy, apiRates);
+    const netliq = accountValue(accounts, "NetLiquidation", account, fx) ?? 0;
+    // keep provenance so each chart point can show what backs it
+    return {
+      date: dateNY,
+      equity: netliq,
+      flow: snapshotCashFlow(s.json, account, fx),
+      verified: !!s.verified,
+      cid: s.cid ?? null,
+      sha256File: s.sha256File ?? null,
+      anchorIndex: s.anchorIndex ?? null,
+      registry: s.registry ?? null
+    };
   }).filter(d => d.equity > 0);
 
   // dedupe by trading day (last snapshot for a date wins)
@@ -58,6 +131,50 @@ export function buildEquitySeries(snaps) {
   return Array.from(byDate.values()).sort((a,b)=>a.date.localeCompare(b.date));
 }
 
+/**
+ * Overlay ledger flows ([{ trade_day, amount, currency?, account? }]) onto an equity series.
+ * Ledger dates win over snapshot fields; a flow on a non-trading day lands
+ * on the next observed day.
+ */
+export function applyCashFlows(series, flows, account = CONSOLIDATED, fx = NO_FX) {
+  if (!flows?.length || !series.length) return series;
+  const byDate = new Map();
+  for (const f of flows) {
+    if (account !== CONSOLIDATED && f.account != null && f.account !== account) continue;
+    const d = series.find(p => p.date >= f.trade_day)?.date;
+    if (d) byDate.set(d, (byDate.get(d) || 0) + (fx.to(f.amount, f.currency || "BASE") || 0));
+  }
+  return series.map(p => (byDate.has(p.date) ? { ...p, flow: byDate.get(p.date) } : p));
+}
+
+/**
+ * Annualised money-weighted return (XIRR, act/365).
+ * cfs: [{ date: "YYYY-MM-DD", amount }] from the investor's side
+ * (contributions negative, final value positive). null if it doesn't converge
+ * or all flows fall on the same date.
+ */
+export function xirr(cfs) {
+  if (cfs.length < 2) return null;
+  const t0 = Date.parse(cfs[0].date);
+  const yrs = cfs.map(c => (Date.parse(c.date) - t0) / (365 * 864e5));
+  // no elapsed time: there is no rate to annualise
+  if (yrs.every(y => y === 0)) return null;
+  const npv = (r) => cfs.reduce((a, c, i) => a + c.amount / (1 + r) ** yrs[i], 0);
+
+  // bracket then bisect; robust where Newton overshoots on short histories.
+  // Short windows annualise to huge rates (+1% in a day is ~3,700%), so the
+  // upper bound widens until it brackets the root.
+  let lo = -0.9999, hi = 10;
+  while (npv(lo) * npv(hi) > 0 && hi < 1e12) hi *= 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid;
+    if (hi - lo < 1e-9) break;
+  }
+  return (lo + hi) / 2;
+}
+
 // --- helpers (put these just above computePerformance) ---
 const mean = (arr) => arr.reduce((a,b)=>a+b,0) / (arr.length || 1);
 const std = (arr) => {
@@ -65,20 +182,90 @@ const std = (arr) => {
   return Math.sqrt(mean(arr.map(x => (x - m) ** 2)));
 };
 
-/** series: [{date:"YYYY-MM-DD", equity:Number}] */
+// Historical VaR/CVaR at confidence c, reported as positive loss fractions.
+function historicalVaR(rets, c) {
+  if (!rets.length) return { var: null, cvar: null };
+  const sorted = [...rets].sort((a, b) => a - b);
+  const k = Math.min(sorted.length - 1, Math.max(0, Math.ceil((1 - c) * sorted.length) - 1));
+  return { var: -sorted[k], cvar: -mean(sorted.slice(0, k + 1)) };
+}
+
+// Annualised vol and Sharpe over a trailing window of daily returns.
+function rolling(returns, window) {
+  const out = [];
+  for (let i = window; i < returns.length; i++) {
+    const w = returns.slice(i - window + 1, i + 1).map(r => r.ret);
+    const vol = std(w) * Math.sqrt(252);
+    out.push({ date: returns[i].date, vol, sharpe: vol > 0 ? (mean(w) * 252) / vol : 0 });
+  }
+  return out;
+}
+
+// Peak -> trough -> recovery episodes; duration counts trading days peak..recovery (or last obs).
+function drawdownPeriods(vami) {
+  const periods = [];
+  let peakIdx = 0;
+  let cur = null;
+  for (let i = 1; i < vami.length; i++) {
+    if (vami[i].v >= vami[peakIdx].v) {
+      if (cur) {
+        cur.recovery = vami[i].date;
+        cur.duration = i - peakIdx;
+        periods.push(cur);
+        cur = null;
+      }
+      peakIdx = i;
+      continue;
+    }
+    const dd = vami[i].v / vami[peakIdx].v - 1;
+    if (!cur) cur = { peak: vami[peakIdx].date, trough: vami[i].date, depth: dd, recovery: null, duration: null };
+    if (dd < cur.depth) { cur.depth = dd; cur.trough = vami[i].date; }
+  }
+  if (cur) { cur.duration = vami.length - 1 - peakIdx; periods.push(cur); }
+  return periods.sort((a, b) => a.depth - b.depth);
+}
+
+/**
+ * Compound daily returns into a calendar grid.
+ * returns: computePerformance().returns
+ * -> [{ year, months: [{ ret, days } | null] x12, total, days }] ascending by year
+ */
+export function calendarReturns(returns) {
+  const years = new Map();
+  for (const { date, ret } of (returns || []).slice(1)) { // first entry is the 0 base
+    const y = Number(date.slice(0, 4));
+    const m = Number(date.slice(5, 7)) - 1;
+    if (!years.has(y)) years.set(y, Array.from({ length: 12 }, () => null));
+    const months = years.get(y);
+    const cell = months[m] || (months[m] = { growth: 1, days: 0 });
+    cell.growth *= 1 + ret;
+    cell.days++;
+  }
+  return [...years].sort((a, b) => a[0] - b[0]).map(([year, months]) => {
+    const total = months.reduce((g, c) => (c ? g * c.growth : g), 1) - 1;
+    return {
+      year,
+      months: months.map(c => (c ? { ret: c.growth - 1, days: c.days } : null)),
+      total,
+      days: months.reduce((n, c) => n + (c?.days || 0), 0)
+    };
+  });
+}
+
+/** series: [{date:"YYYY-MM-DD", equity:Number, ...provenance}] */
 export function computePerformance(series) {
   if (!series || series.length === 0) {
-    return { series: [], returns: [], vami: [], drawdown: [], stats: {} };
+    return { series: [], returns: [], vami: [], drawdown: [], drawdowns: [], rolling: {}, stats: {} };
   }
 
   // ascending by date
   const s = [...series].sort((a,b) => a.date.localeCompare(b.date));
 
-  // --- daily returns ---
+  // --- daily returns (time-weighted: strip same-day external flows) ---
   const returns = [];
   for (let i = 0; i < s.length; i++) {
     if (i === 0) { returns.push({ date: s[i].date, ret: 0 }); continue; }
-    const r = (s[i].equity / s[i-1].equity) - 1;
+    const r = (s[i].equity - (s[i].flow || 0)) / s[i-1].equity - 1;
     returns.push({ date: s[i].date, ret: r });
   }
 
@@ -109,28 +296,66 @@ export function computePerformance(series) {
 
   const avg = mean(rets);
   const volAnn = std(rets) * Math.sqrt(252);
-  const retAnn = n > 0 ? (s[s.length-1].equity / s[0].equity) ** (252 / n) - 1 : 0;
+  const twr = vami[vami.length-1].v / vami[0].v - 1;
+  const retAnn = n > 0 ? (1 + twr) ** (252 / n) - 1 : 0;
   const sharpe = volAnn > 0 ? (avg * 252) / volAnn : 0;
 
-  // YTD vs last obs of previous year (if present)
+  // YTD vs last obs of previous year (if present), chained on VAMI so flows don't count
   const last = s[s.length-1].equity;
   const thisYear = new Date().getFullYear();
   let ytd = null;
   const firstIdxThisYear = s.findIndex(d => new Date(d.date).getFullYear() === thisYear);
   if (firstIdxThisYear >= 0) {
-    const base = firstIdxThisYear > 0 ? s[firstIdxThisYear - 1].equity : s[0].equity;
-    ytd = last / base - 1;
+    const base = firstIdxThisYear > 0 ? vami[firstIdxThisYear - 1].v : vami[0].v;
+    ytd = vami[vami.length-1].v / base - 1;
   }
 
+  // Money-weighted: start equity and later deposits in, final equity out
+  const netFlows = s.slice(1).reduce((a, d) => a + (d.flow || 0), 0);
+  const irr = xirr([
+    { date: s[0].date, amount: -s[0].equity },
+    ...s.slice(1).filter(d => d.flow).map(d => ({ date: d.date, amount: -d.flow })),
+    { date: s[s.length-1].date, amount: last },
+  ]);
+
+  // --- Risk-adjusted / distribution stats ---
+  const downsideDev = Math.sqrt(mean(rets.map(r => Math.min(r, 0) ** 2))) * Math.sqrt(252);
+  const sd = std(rets);
+  const skew = n > 2 && sd > 0 ? mean(rets.map(r => ((r - avg) / sd) ** 3)) : null;
+  const kurtosis = n > 3 && sd > 0 ? mean(rets.map(r => ((r - avg) / sd) ** 4)) - 3 : null; // excess
+  const v95 = historicalVaR(rets, 0.95);
+  const v99 = historicalVaR(rets, 0.99);
+  const days = returns.slice(1);
+  const best = days.reduce((b, r) => (!b || r.ret > b.ret ? r : b), null);
+  const worst = days.reduce((w, r) => (!w || r.ret < w.ret ? r : w), null);
+
   const stats = {
-    since_inception: last / s[0].equity - 1,
+    since_inception: twr,
+    irr,                     // annualised MWR
+    net_flows: netFlows,
     annual_return: retAnn,
     annual_vol: volAnn,
     sharpe,
+    sortino: downsideDev > 0 ? (avg * 252) / downsideDev : null,
+    calmar: maxDD.dd < 0 ? retAnn / -maxDD.dd : null,
+    downside_dev: downsideDev,
     max_drawdown: maxDD.dd,
+    max_drawdown_date: maxDD.date,
+    var_95: v95.var, cvar_95: v95.cvar,
+    var_99: v99.var, cvar_99: v99.cvar,
+    skew,
+    kurtosis,
+    best_day: best,          // { date, ret }
+    worst_day: worst,
+    win_rate: n > 0 ? rets.filter(r => r > 0).length / n : null,
     ytd,
     days: n
   };
 
-  return { series: s, returns, vami, drawdown, stats };
+  const rollingStats = {
+    d30: rolling(returns, 30),   // [{date, vol, sharpe}]
+    d90: rolling(returns, 90),
+  };
+
+  return { series: s, returns, vami, drawdown, drawdowns: drawdownPeriods(vami), rolling: rollingStats, stats };
 }
\ No newline at end of file
@@ -0,0 +1,83 @@
+// src/idb.js
+// Thin promise wrapper over the app's IndexedDB database.
+//   snapshots: cached source rows (+ dataHash, verification), keyed [sha256, as_of_utc]
+//   anchors:   cached registry entries, keyed [registry, index]
+//   uploads:   snapshot files picked in Settings, keyed by name
+const DB_NAME = "zartrad-cache";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (ev) => {
+      const db = req.result;
+      if (ev.oldVersion < 1) {
+        const snaps = db.createObjectStore("snapshots", { keyPath: ["sha256", "as_of_utc"] });
+        snaps.createIndex("as_of_utc", "as_of_utc");
+        db.createObjectStore("anchors", { keyPath: ["registry", "index"] });
+        db.createObjectStore("uploads", { keyPath: "name" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((e) => {
+    dbPromise = null;
+    throw e;
+  });
+  return dbPromise;
+}
+
+// Wrap an IDBRequest / IDBTransaction in a promise.
+function done(r) {
+  return new Promise((resolve, reject) => {
+    if ("oncomplete" in r) {
+      r.oncomplete = () => resolve();
+      r.onerror = r.onabort = () => reject(r.error);
+    } else {
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    }
+  });
+}
+
+export async function readAll(store) {
+  const db = await openDb();
+  return done(db.transaction(store).objectStore(store).getAll());
+}
+
+export async function writeAll(store, rows, { clear = false } = {}) {
+  const db = await openDb();
+  const tx = db.transaction(store, "readwrite");
+  const os = tx.objectStore(store);
+  if (clear) os.clear();
+  for (const r of rows) os.put(r);
+  return done(tx);
+}
+
+
+export async function clearStore(store) {
+  const db = await openDb();
+  const tx = db.transaction(store, "readwrite");
+  tx.objectStore(store).clear();
+  return done(tx);
+}
+
+// Delete the rows matching `match`, then put `rows`, in one transaction.
+export async function replaceWhere(store, match, rows) {
+  const db = await openDb();
+  const tx = db.transaction(store, "readwrite");
+  const os = tx.objectStore(store);
+  os.openCursor().onsuccess = (e) => {
+    const cur = e.target.result;
+    if (!cur) {
+      for (const r of rows) os.put(r);
+      return;
+    }
+    if (match(cur.value)) cur.delete();
+    cur.continue();
+  };
+  return done(tx);
+}
@@ -0,0 +1,113 @@
+// src/layout.js
+// Shared page chrome: tab bar (from registered views), reporting currency,
+// block-explorer link, live-mode and theme toggles.
+import { listViews, currentRoute, navigate, refresh } from "./router.js";
+import { getTheme, toggleTheme } from "./theme.js";
+import { CONSOLIDATED, setAccount } from "./accounts.js";
+import { REPORTING_CCYS, getReportingCcy, setReportingCcy } from "./currency.js";
+import { syncStatus } from "./cache.js";
+import { isLive, setLive } from "./live.js";
+import { PRIMARY_REGISTRY } from "./contract.js";
+import { explorerAddressUrl, explorerTxUrl } from "./chains.js";
+
+export function navBar() {
+  const { view } = currentRoute();
+  const explorer = PRIMARY_REGISTRY && explorerAddressUrl(PRIMARY_REGISTRY.chain, PRIMARY_REGISTRY.address);
+  return `
+    ${listViews().map(v =>
+      `<button data-route="${v.name}" ${v.name === view ? 'disabled' : ''}>${v.label}</button>`).join("")}
+    <select id="ccySel" title="Reporting currency">
+      ${REPORTING_CCYS.map(c => `<option ${c === getReportingCcy() ? 'selected' : ''}>${c}</option>`).join("")}
+    </select>
+    ${explorer ? `<a href="${explorer}" target="_blank">${PRIMARY_REGISTRY.chain.explorerName}</a>` : ""}
+    <button id="liveToggle" title="Watch the registry and refresh when a new snapshot lands">${isLive() ? 'Live ●' : 'Live ○'}</button>
+    <button id="themeToggle" title="Toggle theme">${getTheme() === 'dark' ? 'Light' : 'Dark'}</button>`;
+}
+
+// Call after a view has written its markup.
+export function wireHeaderEvents() {
+  const t = document.getElementById('themeToggle');
+  if (t) t.addEventListener('click', () => {
+    toggleTheme();
+    t.textContent = getTheme() === 'dark' ? 'Light' : 'Dark';
+  });
+  const live = document.getElementById('liveToggle');
+  if (live) live.addEventListener('click', () => {
+    setLive(!isLive());
+    live.textContent = isLive() ? 'Live ●' : 'Live ○';
+  });
+  document.querySelectorAll('[data-route]').forEach(b =>
+    b.addEventListener('click', () => navigate(b.dataset.route)));
+  const ccy = document.getElementById('ccySel');
+  if (ccy) ccy.addEventListener('change', () => {
+    setReportingCcy(ccy.value);
+    refresh();
+  });
+  const acct = document.getElementById('acctSel');
+  if (acct) acct.addEventListener('change', () => {
+    setAccount(acct.value);
+    refresh();
+  });
+}
+
+// Grid of KPI cards: [{ label, v, title? }]
+export function statCards(cells, cols = 5) {
+  return `
+    <div style="display:grid;grid-template-columns:repeat(${cols},minmax(0,1fr));gap:12px;margin:12px 0 20px;">
+      ${cells.map(c => `
+        <div style="background:var(--card-bg);border:1px solid var(--card-border);border-radius:10px;padding:12px;"
+             ${c.title ? `title="${c.title}"` : ''}>
+          <div style="font-size:12px;color:var(--muted);margin-bottom:6px;">${c.label}</div>
+          <div style="font-size:18px;font-weight:700;">${c.v}</div>
+        </div>`).join("")}
+    </div>`;
+}
+
+// Account picker; `keys` are the account ids present in the data being shown.
+export function accountSelect(keys, sel) {
+  if (keys.length === 0) return "";
+  return `
+    <select id="acctSel" title="Account">
+      <option value="${CONSOLIDATED}" ${sel === CONSOLIDATED ? 'selected' : ''}>Consolidated</option>
+      ${keys.map(k => `<option value="${k}" ${sel === k ? 'selected' : ''}>${k}</option>`).join("")}
+    </select>`;
+}
+
+// "Stale since …" notice when the last load fell back to the offline cache.
+export function syncBanner() {
+  const { api, chain } = syncStatus();
+  const since = (s) => (s?.at ? new Date(s.at).toLocaleString() : "never");
+  const notes = [];
+  if (api?.error) notes.push(`Snapshot source unreachable — showing cached data, stale since ${since(api)}.`);
+  if (chain?.error) notes.push(`Chain unreachable — verification uses anchors last read ${since(chain)}.`);
+  if (!notes.length) return "";
+  return `
+    <div style="background:var(--card-bg);border:1px solid var(--warn);border-radius:8px;padding:8px 12px;margin:0 0 12px;font-size:13px;color:var(--warn);">
+      ${notes.join("<br>")}
+    </div>`;
+}
+
+// Collapsible list of schema problems ([{ path, message }] from validateSnapshot).
+export function schemaIssuesHtml(issues, title = "This snapshot has schema problems") {
+  if (!issues?.length) return "";
+  return `
+    <details style="color:var(--warn);font-size:13px;margin:-8px 0 12px;">
+      <summary>${title} (${issues.length})</summary>
+      <ul style="margin:6px 0;">
+        ${issues.map(i => `<li><code>${i.path || "(root)"}</code>: ${i.message}</li>`).join("")}
+      </ul>
+    </details>`;
+}
+
+// Anchoring tx/block lines for one anchor (getAnchorLog() result or null) plus
+// driftFlags() warnings; chain is the registry's chain, for explorer links.
+export function provenanceHtml(p, chain, flags = []) {
+  const link = (url, text) => (url ? `<a href="${url}" target="_blank"><code>${text}</code></a>` : `<code>${text}</code>`);
+  const lines = p ? `
+    <div><b>Tx:</b> ${link(explorerTxUrl(chain, p.txHash), p.txHash)}</div>
+    <div><b>Block:</b> ${p.blockNumber} • ${p.confirmations} confirmation${p.confirmations === 1 ? "" : "s"}</div>
+    <div><b>Block time:</b> ${p.blockTime ? `${new Date(p.blockTime).toLocaleString()}` : "n/a"}</div>
+    <div><b>Publisher:</b> ${p.publisher ? link(explorerAddressUrl(chain, p.publisher), p.publisher) : "n/a"}</div>`
+    : `<div><b>Tx:</b> not resolved from registry logs</div>`;
+  return lines + flags.map(f => `<div style="color:var(--warn);">⚠️ ${f.message}</div>`).join("");
+}
@@ -0,0 +1,138 @@
+// src/live.js
+// Live mode for wall screens: watch the registries for new snapshots (log
+// subscription, with getSnapshotCount polling as the fallback), let the
+// visible view patch itself in place, and raise a toast / desktop notification.
+import { getSnapshotCount, getSnapshotByIndex, onRegistryActivity, REGISTRIES } from "./contract.js";
+import { loadSnapshots } from "./cache.js";
+import { currentRoute } from "./router.js";
+import { accountValue, CONSOLIDATED } from "./accounts.js";
+import { fxFor, getReportingCcy } from "./currency.js";
+import { fmtMoney, nyTradingDay } from "./format.js";
+import { fetchAndVerifyByCID } from "./dataLoader.js";
+import { normHash } from "./util.js";
+
+const LIVE_KEY = 'liveMode';
+const POLL_MS = Number(import.meta.env.VITE_LIVE_POLL_MS) || 30000;
+
+const handlers = new Map();   // view name -> async () => void (patch in place)
+let timer = null;
+let unsubscribe = null;
+const lastCounts = new Map();  // registry key -> snapshot count last seen
+let checking = false;
+
+export const isLive = () => localStorage.getItem(LIVE_KEY) === '1';
+
+export function setLive(on) {
+  localStorage.setItem(LIVE_KEY, on ? '1' : '0');
+  if (on) {
+    // ask from the click that enabled live mode; toasts still work if refused
+    if (typeof Notification !== "undefined" && Notification.permission === "default") {
+      Notification.requestPermission().catch(() => {});
+    }
+    startLive();
+  } else {
+    stopLive();
+  }
+}
+
+// A view registers how to update itself when new data lands; the latest
+// registration per view wins, and only the visible view is called.
+export function onNewSnapshot(view, fn) {
+  handlers.set(view, fn);
+}
+
+export function startLive() {
+  if (!isLive() || timer) return;
+  timer = setInterval(check, POLL_MS);
+  try {
+    unsubscribe = onRegistryActivity(() => check());
+  } catch (e) {
+    console.warn("registry subscription unavailable, polling only:", e?.message || e);
+  }
+  check();
+}
+
+function stopLive() {
+  clearInterval(timer);
+  timer = null;
+  unsubscribe?.();
+  unsubscribe = null;
+  lastCounts.clear();
+}
+
+async function check() {
+  if (checking) return;
+  checking = true;
+  try {
+    const fresh = [];
+    for (const reg of REGISTRIES) {
+      const n = await getSnapshotCount(reg).catch((e) => {
+        console.warn(`live check failed for ${reg.label}:`, e?.message || e);
+        return null;
+      });
+      const last = lastCounts.get(reg.key);
+      if (n == null) continue;
+      if (last != null) {
+        for (let i = last; i < n; i++) fresh.push({ index: i, reg, ...(await getSnapshotByIndex(i, reg)) });
+      }
+      lastCounts.set(reg.key, Math.max(last ?? 0, n));
+    }
+    if (!fresh.length) return;
+
+    const rows = await loadSnapshots();   // pulls the new rows into the cache
+    await Promise.all(fresh.map(a => announce(a, rows)));
+    await handlers.get(currentRoute().view)?.();
+  } catch (e) {
+    console.warn("live check failed:", e?.message || e);
+  } finally {
+    checking = false;
+  }
+}
+
+// Toast + desktop notification for one new anchor. The file is fetched from
+// IPFS and hashed first, so "verified" means the anchored bytes themselves
+// were checked, not just that the data source has a row with that hash.
+async function announce(anchor, rows) {
+  const row = rows.find(r => normHash(r.sha256) === normHash(anchor.sha256File));
+  const ccy = getReportingCcy();
+  const netLiq = row
+    ? accountValue(row.data?.payload?.accounts, "NetLiquidation", CONSOLIDATED, fxFor(row.data, ccy))
+    : null;
+  let check;
+  try {
+    const v = await fetchAndVerifyByCID(anchor.cid, anchor.sha256File);
+    check = v.ok
+      ? { tone: "ok", text: "✅ IPFS file matches the registry hash" }
+      : { tone: "bad", text: "❌ IPFS file does not match the registry hash" };
+  } catch (e) {
+    console.warn(`live: could not fetch ${anchor.cid}:`, e?.message || e);
+    check = { tone: "warn", text: "⚠️ Not retrievable from IPFS yet (unverified)" };
+  }
+  const where = REGISTRIES.length > 1 ? `${anchor.reg.label} ` : "";
+  const title = `New snapshot ${where}#${anchor.index} • ${nyTradingDay(row?.as_of_utc ?? anchor.timestamp)}`;
+  const body = row
+    ? `Net Liquidation ${fmtMoney(netLiq, ccy)} • ${check.text}`
+    : `Not in the data source yet • ${check.text}`;
+
+  toast(title, body, check.tone);
+  // the toast covers a visible tab; the desktop notification is for a hidden one
+  if (typeof Notification !== "undefined" && Notification.permission === "granted" && document.hidden) {
+    new Notification(title, { body });
+  }
+}
+
+function toast(title, body, tone) {
+  let stack = document.getElementById('toasts');
+  if (!stack) {
+    stack = Object.assign(document.createElement('div'), { id: 'toasts' });
+    stack.style.cssText = "position:fixed;right:16px;bottom:16px;display:flex;flex-direction:column;gap:8px;z-index:1000;";
+    document.body.appendChild(stack);
+  }
+  const el = document.createElement('div');
+  el.style.cssText = `background:var(--card-bg);border:1px solid var(--card-border);border-left:4px solid var(--${tone});`
+    + "border-radius:8px;padding:10px 14px;font-size:13px;box-shadow:0 4px 12px rgba(0,0,0,.2);max-width:360px;";
+  el.innerHTML = `<b>${title}</b><div style="color:var(--muted);margin-top:4px;">${body}</div>`;
+  el.addEventListener('click', () => el.remove());
+  stack.appendChild(el);
+  setTimeout(() => el.remove(), 15000);
+}
@@ -0,0 +1,164 @@
+// src/options.js
+// Option leg parsing, Black-Scholes pricing/Greeks and expiry payoffs.
+// Prices are per share (IBKR avgPrice/lastPrice); contract size comes from
+// the position's `multiplier`, defaulting to 100.
+
+const MS_DAY = 864e5;
+
+// "20250808" | "2025-08-08" | "08/08/25" | "08/08/2025" -> "2025-08-08" (null if unknown)
+export function parseExpiry(s) {
+  const str = String(s ?? "").trim();
+  let m;
+  if ((m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(str))) return `${m[1]}-${m[2]}-${m[3]}`;
+  if ((m = /^(\d{2})\/(\d{2})\/(\d{2}|\d{4})$/.exec(str))) {
+    const y = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${y}-${m[1]}-${m[2]}`;
+  }
+  return null;
+}
+
+/**
+ * Option contract fields from a position, or null for non-options.
+ * Uses structured fields when present, else the description
+ * ("META 08/08/25 710.0 PUT").
+ */
+export function parseOptionLeg(p) {
+  if (!p || (p.secType && p.secType !== "OPT")) return null;
+  let underlying = p.symbol, expiry = parseExpiry(p.expiry), strike = Number(p.strike), right = p.right;
+  const m = /^(\S+)\s+(\S+)\s+([\d.]+)\s+(CALL|PUT|C|P)$/i.exec(String(p.instrument ?? p.localSymbol ?? "").trim());
+  if (m) {
+    underlying ??= m[1];
+    expiry ??= parseExpiry(m[2]);
+    if (!isFinite(strike) || !strike) strike = Number(m[3]);
+    right ??= m[4];
+  }
+  right = String(right ?? "").toUpperCase()[0];
+  if (!underlying || !expiry || !isFinite(strike) || (right !== "C" && right !== "P")) return null;
+  return { underlying, expiry, strike, right, multiplier: Number(p.multiplier) || 100 };
+}
+
+// Calendar days to expiry (expiry treated as 16:00 New York ≈ 20:00 UTC)
+export function daysToExpiry(expiry, asOfMs = Date.now()) {
+  return (Date.parse(`${expiry}T20:00:00Z`) - asOfMs) / MS_DAY;
+}
+
+const normPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+// Abramowitz-Stegun 7.1.26
+function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+    * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+const intrinsic = (S, K, right) => (right === "C" ? Math.max(0, S - K) : Math.max(0, K - S));
+
+export function bsPrice(S, K, T, r, sigma, right) {
+  if (T <= 0 || sigma <= 0) return intrinsic(S, K, right);
+  const sq = sigma * Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r + sigma * sigma / 2) * T) / sq;
+  const d2 = d1 - sq;
+  return right === "C"
+    ? S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
+    : K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
+}
+
+/** Per-share Greeks; theta per calendar day, vega per 1 vol point. */
+export function bsGreeks(S, K, T, r, sigma, right) {
+  if (T <= 0 || sigma <= 0) {
+    const itm = right === "C" ? S > K : S < K;
+    return { delta: itm ? (right === "C" ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0 };
+  }
+  const sq = sigma * Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r + sigma * sigma / 2) * T) / sq;
+  const d2 = d1 - sq;
+  const disc = K * Math.exp(-r * T);
+  const common = -S * normPdf(d1) * sigma / (2 * Math.sqrt(T));
+  const theta = right === "C" ? common - r * disc * normCdf(d2) : common + r * disc * normCdf(-d2);
+  return {
+    delta: right === "C" ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: normPdf(d1) / (S * sq),
+    theta: theta / 365,
+    vega: S * normPdf(d1) * Math.sqrt(T) / 100,
+  };
+}
+
+// Bisection on sigma in [0.1%, 500%]; null when price is outside the no-arbitrage band.
+export function impliedVol(price, S, K, T, r, right) {
+  if (!(price > 0) || !(S > 0) || T <= 0) return null;
+  let lo = 0.001, hi = 5;
+  if (price < bsPrice(S, K, T, r, lo, right) || price > bsPrice(S, K, T, r, hi, right)) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (bsPrice(S, K, T, r, mid, right) > price) hi = mid; else lo = mid;
+    if (hi - lo < 1e-6) break;
+  }
+  return (lo + hi) / 2;
+}
+
+// "ITM" | "ATM" (within 1% of strike) | "OTM"
+export function moneyness(S, K, right) {
+  if (!(S > 0)) return null;
+  if (Math.abs(S / K - 1) < 0.01) return "ATM";
+  return (right === "C" ? S > K : S < K) ? "ITM" : "OTM";
+}
+
+/**
+ * Underlying prices known from a snapshot payload:
+ * payload.underlying_prices { SYM: px }, per-leg undPrice/underlyingPrice, or a stock position's last.
+ */
+export function underlyingPrices(payload) {
+  const out = { ...(payload?.underlying_prices || {}) };
+  for (const p of payload?.positions || []) {
+    const px = Number(p.undPrice ?? p.underlyingPrice);
+    if (p.symbol && px > 0) out[p.symbol] ??= px;
+    if (p.secType === "STK" && Number(p.lastPrice) > 0) out[p.symbol] ??= Number(p.lastPrice);
+  }
+  return out;
+}
+
+/**
+ * Analytics for every option leg.
+ * ctx: { spots: { SYM: px }, asOfMs, rate }
+ * -> [{ p, leg, dte, S, moneyness, iv, greeks, posDelta }]   posDelta in shares
+ */
+export function analyzeLegs(positions, { spots = {}, asOfMs = Date.now(), rate = 0.04 } = {}) {
+  return (positions || []).map(p => {
+    const leg = parseOptionLeg(p);
+    if (!leg) return null;
+    const dte = daysToExpiry(leg.expiry, asOfMs);
+    const T = Math.max(dte, 0) / 365;
+    const S = Number(spots[leg.underlying]) || null;
+    const iv = S ? impliedVol(Number(p.lastPrice), S, leg.strike, T, rate, leg.right) : null;
+    const greeks = S && iv ? bsGreeks(S, leg.strike, T, rate, iv, leg.right) : null;
+    const qty = Number(p.position) || 0;
+    return {
+      p, leg, dte, S,
+      moneyness: moneyness(S, leg.strike, leg.right),
+      iv,
+      greeks,
+      posDelta: greeks ? greeks.delta * qty * leg.multiplier : null,
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Expiration P&L curve for a group of positions on one underlying.
+ * Options pay intrinsic minus premium; stock legs are linear. -> [{ x: S, y: pnl }]
+ */
+export function payoffCurve(positions, lo, hi, steps = 80) {
+  const pts = [];
+  for (let i = 0; i <= steps; i++) {
+    const S = lo + (hi - lo) * i / steps;
+    let y = 0;
+    for (const p of positions) {
+      const qty = Number(p.position) || 0;
+      const avg = Number(p.avgPrice) || 0;
+      const leg = parseOptionLeg(p);
+      if (leg) y += qty * leg.multiplier * (intrinsic(S, leg.strike, leg.right) - avg);
+      else if (p.secType === "STK") y += qty * (S - avg);
+    }
+    pts.push({ x: S, y });
+  }
+  return pts;
+}
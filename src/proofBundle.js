@@ -0,0 +1,113 @@
+// src/proofBundle.js
+// Self-contained verification bundle for one anchored snapshot: the exact
+// bytes served by IPFS, every hash we computed, the registry read, and a
+// dependency-free Node script that re-checks all of it (optionally against
+// a live RPC) without trusting this UI.
+import { zipStore } from "./export.js";
+
+const README = `Snapshot verification bundle
+
+  snapshot.json  exact bytes fetched from IPFS (do not reformat)
+  proof.json     hashes, matched mode, registry read and tx/block data
+  verify.mjs     re-computes the hashes; with an RPC URL it re-reads the registry
+
+Requires Node 18+:
+
+  node verify.mjs                 # offline: bytes vs proof.json
+  node verify.mjs <rpc-url>       # also compare with getSnapshot(index) on-chain
+
+Hashes:
+  sha256_file       SHA-256 of snapshot.json as-is (what the registry anchors)
+  sha256_canonical  SHA-256 of the JSON minus its "sha256" field, keys sorted,
+                    no whitespace (legacy files embed this in "sha256")
+`;
+
+// Plain concatenation only: this text is written out verbatim as verify.mjs.
+const VERIFY_SCRIPT = `// verify.mjs - node verify.mjs [rpc-url]
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+
+const here = (f) => new URL("./" + f, import.meta.url);
+const proof = JSON.parse(readFileSync(here("proof.json"), "utf8"));
+const bytes = readFileSync(here("snapshot.json"));
+const sha = (b) => createHash("sha256").update(b).digest("hex");
+const norm = (h) => String(h || "").toLowerCase().replace(/^0x/, "");
+
+function stable(x) {
+  if (x === null || typeof x !== "object") return JSON.stringify(x);
+  if (Array.isArray(x)) return "[" + x.map(stable).join(",") + "]";
+  return "{" + Object.keys(x).sort().map(k => JSON.stringify(k) + ":" + stable(x[k])).join(",") + "}";
+}
+
+const json = JSON.parse(bytes.toString("utf8"));
+const inFile = norm(json.sha256);
+delete json.sha256;
+const fileHash = sha(bytes);
+const canonical = sha(stable(json));
+
+let failed = 0;
+function check(label, ok, detail) {
+  console.log((ok ? "PASS " : "FAIL ") + label + (detail ? "  " + detail : ""));
+  if (!ok) failed++;
+}
+
+check("sha256_file matches proof.json", fileHash === norm(proof.hashes.sha256_file), fileHash);
+check("sha256_canonical matches proof.json", canonical === norm(proof.hashes.sha256_canonical), canonical);
+if (proof.anchor.sha256File) {
+  check("file bytes match the anchored bytes32", fileHash === norm(proof.anchor.sha256File), proof.anchor.sha256File);
+}
+if (inFile) {
+  check("in-file sha256 matches file bytes or canonical form",
+    inFile === fileHash || inFile === canonical, inFile);
+}
+
+const rpc = process.argv[2];
+if (rpc) {
+  const res = await fetch(rpc, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      jsonrpc: "2.0", id: 1, method: "eth_call",
+      params: [{ to: proof.anchor.registry, data: proof.anchor.calldata }, "latest"]
+    })
+  }).then(r => r.json());
+  if (res.error) throw new Error(res.error.message);
+  // getSnapshot returns (string cid, bytes32 sha256File, uint256 timestamp)
+  const words = res.result.slice(2).match(/.{64}/g);
+  const onchain = words[1];
+  const ts = parseInt(words[2], 16);
+  check("registry getSnapshot(" + proof.anchor.index + ") sha256File matches file bytes", onchain === fileHash, "0x" + onchain);
+  check("registry timestamp matches proof.json", ts * 1000 === proof.anchor.timestamp, new Date(ts * 1000).toISOString());
+}
+
+console.log(failed ? failed + " check(s) failed" : "All checks passed");
+process.exit(failed ? 1 : 0);
+`;
+
+/**
+ * v: fetchAndVerifyByCID result (needs .bytes)
+ * anchor: { index, cid, sha256File, timestamp, registry, chainId, calldata }
+ * tx: getAnchorLog() result or null
+ */
+export function buildProofBundle({ v, anchor, tx }) {
+  const proof = {
+    generated_at: new Date().toISOString(),
+    source_url: v.url,
+    mode: v.mode || null,
+    ok: v.ok,
+    hashes: {
+      sha256_file: v.sha256_file,
+      sha256_canonical: v.sha256_canonical,
+      sha256_in_file: v.sha256_expected,
+      sha256_onchain: v.sha256_onchain,
+    },
+    anchor,
+    tx: tx || null,
+  };
+  return zipStore([
+    { name: "snapshot.json", data: v.bytes },
+    { name: "proof.json", data: JSON.stringify(proof, null, 2) + "\n" },
+    { name: "verify.mjs", data: VERIFY_SCRIPT },
+    { name: "README.txt", data: README },
+  ]);
+}
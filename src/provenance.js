@@ -0,0 +1,39 @@
+// src/provenance.js
+// Timestamp drift checks for an anchor. The registry's timestamp is whatever
+// the contract stored; the block time is what the chain recorded; as_of_utc
+// is when the snapshot says it was taken. Auditors want all three to agree.
+const BLOCK_DRIFT_S = Number(import.meta.env.VITE_BLOCK_DRIFT_S) || 300;
+// close-of-day snapshots are often anchored next morning, Friday's on Monday
+const ASOF_DRIFT_H = Number(import.meta.env.VITE_ASOF_DRIFT_H) || 72;
+
+const fmtGap = (ms) => {
+  const s = Math.abs(ms) / 1000;
+  return s < 120 ? `${Math.round(s)} s` : s < 7200 ? `${Math.round(s / 60)} min` : `${(s / 3600).toFixed(1)} h`;
+};
+
+/**
+ * timestamp: registry-declared time (ms); blockTime: block time (ms, or null
+ * if unresolved); asOf: snapshot as_of_utc (ISO, or null).
+ * Returns [{ kind: "block" | "as-of", message }], empty when nothing drifts.
+ */
+export function driftFlags({ timestamp, blockTime, asOf }) {
+  const flags = [];
+  if (timestamp != null && blockTime != null && Math.abs(timestamp - blockTime) > BLOCK_DRIFT_S * 1000) {
+    flags.push({
+      kind: "block",
+      message: `Registry timestamp is ${fmtGap(timestamp - blockTime)} ${timestamp > blockTime ? "after" : "before"} the block time`
+        + ` (tolerance ${BLOCK_DRIFT_S} s)`,
+    });
+  }
+  const anchoredAt = blockTime ?? timestamp;
+  const asOfMs = asOf ? Date.parse(asOf) : NaN;
+  if (anchoredAt != null && isFinite(asOfMs)) {
+    const gap = anchoredAt - asOfMs;
+    if (gap < -BLOCK_DRIFT_S * 1000) {
+      flags.push({ kind: "as-of", message: `Anchored ${fmtGap(gap)} before the snapshot's as_of_utc` });
+    } else if (gap > ASOF_DRIFT_H * 3600 * 1000) {
+      flags.push({ kind: "as-of", message: `Anchored ${fmtGap(gap)} after the snapshot's as_of_utc (tolerance ${ASOF_DRIFT_H} h)` });
+    }
+  }
+  return flags;
+}
@@ -0,0 +1,121 @@
+// src/publish.js
+// Admin publishing: anchor a snapshot file in a registry from an injected
+// EIP-1193 wallet (MetaMask, Rabby, …). The file is hashed with verifyBytes,
+// the same code fetchAndVerifyByCID checks IPFS downloads with, so what gets
+// anchored is exactly what verification will later compare against.
+//
+// The registry's write call is configurable (PUBLISH_FN in contract.js, from
+// VITE_PUBLISH_FN): a human-readable fragment taking (cid, sha256File) in that order.
+import { BrowserProvider, Contract, Interface, toQuantity } from "ethers";
+import { verifyBytes, fetchAndVerifyByCID } from "./dataLoader.js";
+import { getLatestOnChain, PUBLISH_FN } from "./contract.js";
+import { normHash } from "./util.js";
+
+const ADMIN_KEY = 'adminMode';
+const PUBLISH_IFACE = new Interface([PUBLISH_FN]);
+const PUBLISH_NAME = PUBLISH_IFACE.fragments[0].name;
+
+export const isAdmin = () => localStorage.getItem(ADMIN_KEY) === '1';
+export const setAdmin = (on) => localStorage.setItem(ADMIN_KEY, on ? '1' : '0');
+export const publishSignature = () => PUBLISH_IFACE.fragments[0].format();
+export const hasWallet = () => typeof window !== "undefined" && !!window.ethereum;
+
+/**
+ * Hash a candidate file. Returns the verifyBytes() result plus the bytes and
+ * the bytes32 to anchor ("0x" + SHA-256 of the exact bytes).
+ * Throws if the bytes are not JSON.
+ */
+export async function prepareSnapshot(bytes) {
+  const v = await verifyBytes(bytes);
+  return { ...v, bytes, sha256File: `0x${v.sha256_file}` };
+}
+
+// Source rows carry parsed JSON, not the original file. These bytes are only
+// publishable when they hash to the row's sha256, i.e. the source file was
+// written the same way; pin exactly them so the anchored hash can be reproduced.
+export const snapshotBytes = (json) => new TextEncoder().encode(JSON.stringify(json, null, 2) + "\n");
+
+// Ask the wallet to sit on the registry's chain, adding the chain if the
+// wallet has never seen it (e.g. a local Hardhat/Anvil node).
+async function ensureChain(eth, chain) {
+  if (!chain.chainId) return;
+  const want = toQuantity(chain.chainId);
+  if ((await eth.request({ method: "eth_chainId" })) === want) return;
+  try {
+    await eth.request({ method: "wallet_switchEthereumChain", params: [{ chainId: want }] });
+  } catch (e) {
+    if (e?.code !== 4902 && e?.data?.originalError?.code !== 4902) throw e;
+    await eth.request({
+      method: "wallet_addEthereumChain",
+      params: [{
+        chainId: want,
+        chainName: chain.name || chain.id,
+        rpcUrls: chain.rpcs,
+        nativeCurrency: chain.nativeCurrency || { name: "ETH", symbol: "ETH", decimals: 18 },
+        ...(chain.explorer ? { blockExplorerUrls: [chain.explorer] } : {}),
+      }],
+    });
+  }
+}
+
+/** Connect the injected wallet on reg's chain: { account, signer, contract }. */
+export async function connectWallet(reg) {
+  if (!hasWallet()) throw new Error("No browser wallet found (window.ethereum)");
+  await window.ethereum.request({ method: "eth_requestAccounts" });
+  await ensureChain(window.ethereum, reg.chain);
+  const provider = new BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return {
+    account: await signer.getAddress(),
+    signer,
+    contract: new Contract(reg.address, PUBLISH_IFACE, signer),
+  };
+}
+
+/** Gas and fee estimate for anchoring (cid, sha256File); cost in wei, or null. */
+export async function estimatePublish(wallet, cid, sha256File) {
+  const [gas, fees] = await Promise.all([
+    wallet.contract[PUBLISH_NAME].estimateGas(cid, sha256File),
+    wallet.signer.provider.getFeeData(),
+  ]);
+  const price = fees.maxFeePerGas ?? fees.gasPrice;
+  return { gas, maxFeePerGas: price, cost: price != null ? gas * price : null };
+}
+
+/**
+ * Send the write call and follow it. onStatus(stage, info) gets
+ * "signing" -> "pending" { hash } -> "mined" { hash, blockNumber, gasUsed }.
+ * Throws on rejection or a reverted transaction.
+ */
+export async function publishSnapshot(wallet, cid, sha256File, onStatus = () => {}) {
+  onStatus("signing");
+  const tx = await wallet.contract[PUBLISH_NAME](cid, sha256File);
+  onStatus("pending", { hash: tx.hash });
+  const receipt = await tx.wait();
+  if (!receipt || receipt.status !== 1) throw new Error(`Transaction ${tx.hash} reverted`);
+  const info = { hash: tx.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+  onStatus("mined", info);
+  return info;
+}
+
+/**
+ * Re-read the registry through the dashboard's own RPCs and re-fetch the CID
+ * from IPFS, as any viewer would. IPFS is often not reachable yet right
+ * after pinning (or at all on a local node), so that part may report an error.
+ */
+export async function verifyPublished(reg, cid, sha256File) {
+  const latest = await getLatestOnChain(reg);
+  const chain = {
+    ok: latest.cid === cid && normHash(latest.sha256File) === normHash(sha256File),
+    cid: latest.cid,
+    sha256File: latest.sha256File,
+  };
+  let ipfs;
+  try {
+    const v = await fetchAndVerifyByCID(cid, sha256File);
+    ipfs = { ok: v.ok, url: v.url, error: null };
+  } catch (e) {
+    ipfs = { ok: false, url: null, error: e?.message || String(e) };
+  }
+  return { chain, ipfs };
+}
@@ -0,0 +1,59 @@
+// src/range.js
+// Performance date windows. A window starts at the last observation on or
+// before the cutoff so the first in-range return has a base to compare with.
+
+export const PRESETS = ["1M", "3M", "6M", "YTD", "1Y", "ITD"];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "YYYY-MM-DD" minus n calendar months (day clamped to month end)
+function minusMonths(date, n) {
+  const [y, m, d] = date.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1 - n, 1));
+  const last = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).getUTCDate();
+  t.setUTCDate(Math.min(d, last));
+  return t.toISOString().slice(0, 10);
+}
+
+/**
+ * dates: ascending "YYYY-MM-DD"; params: URLSearchParams with range | from/to
+ * -> { preset: "3M" | "custom" | "ITD", from, to } (from/to are dates in `dates`)
+ */
+export function resolveRange(dates, params) {
+  if (!dates.length) return { preset: "ITD", from: null, to: null };
+  const first = dates[0], last = dates[dates.length - 1];
+  const from = params.get("from"), to = params.get("to");
+
+  let preset = PRESETS.includes(params.get("range")) ? params.get("range") : "ITD";
+  let cutoff = first, end = last;
+  if (DAY_RE.test(from || "") || DAY_RE.test(to || "")) {
+    preset = "custom";
+    cutoff = DAY_RE.test(from || "") ? from : first;
+    end = DAY_RE.test(to || "") ? to : last;
+  } else if (preset === "YTD") {
+    cutoff = `${Number(last.slice(0, 4)) - 1}-12-31`;
+  } else if (preset !== "ITD") {
+    cutoff = minusMonths(last, { "1M": 1, "3M": 3, "6M": 6, "1Y": 12 }[preset]);
+  }
+
+  const inEnd = dates.filter(d => d <= end);
+  const endDate = inEnd[inEnd.length - 1] ?? first;
+  const base = inEnd.filter(d => d <= cutoff).pop() ?? first;
+  return { preset, from: base, to: endDate };
+}
+
+export const inRange = (date, r) => (!r.from || date >= r.from) && (!r.to || date <= r.to);
+
+/**
+ * Benchmark level rows restricted to the window, each key rebased to 1000 at
+ * its first in-range value. rows: [{ trade_day, KEY: level }]
+ */
+export function rebaseRows(rows, keys, r) {
+  const within = (rows || []).filter(row => inRange(row.trade_day, r));
+  const base = {};
+  for (const k of keys) base[k] = Number(within.find(row => Number(row[k]) > 0)?.[k]) || null;
+  return within.map(row => {
+    const out = { trade_day: row.trade_day };
+    for (const k of keys) out[k] = base[k] && Number(row[k]) > 0 ? (Number(row[k]) / base[k]) * 1000 : null;
+    return out;
+  });
+}
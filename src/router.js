@@ -0,0 +1,70 @@
+// src/router.js
+// Minimal hash router: "#/<view>?<query>". Views call registerView() when
+// their module is imported; tabs, deep links and back/forward all go through
+// the URL, so the browser history is the navigation state.
+
+const views = new Map();          // name -> { label, render(params) }
+const scrollByUrl = new Map();    // hash -> scrollY, restored when revisited
+let defaultView = null;           // first registered view
+let renderSeq = 0;
+
+export function registerView(name, { label, render }) {
+  views.set(name, { label, render });
+  defaultView ??= name;
+}
+
+// [{ name, label }] in registration order (drives the tab bar)
+export const listViews = () => [...views].map(([name, v]) => ({ name, label: v.label }));
+
+// "#/overview?date=2025-08-06" -> { view: "overview", params: URLSearchParams }
+export function currentRoute() {
+  const [path, query = ""] = location.hash.replace(/^#\/?/, "").split("?");
+  return { view: views.has(path) ? path : defaultView, params: new URLSearchParams(query) };
+}
+
+// routeHref("compare", { from: "2025-08-05", to: null }) -> "#/compare?from=2025-08-05"
+export function routeHref(view, params = {}) {
+  const q = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v != null && v !== "")
+  ).toString();
+  return `#/${view}${q ? `?${q}` : ""}`;
+}
+
+/**
+ * Go to a view. Adds a history entry unless opts.replace is set (use that for
+ * state tweaks that shouldn't need an extra Back press).
+ */
+export function navigate(view, params = {}, { replace = false } = {}) {
+  const href = routeHref(view, params);
+  if (href === location.hash) return render();
+  if (replace) {
+    history.replaceState(null, "", href);
+    return render();
+  }
+  location.hash = href; // -> hashchange -> render()
+}
+
+// Re-render the current route in place (e.g. after a settings change),
+// keeping the scroll position.
+export function refresh() {
+  scrollByUrl.set(location.hash, window.scrollY);
+  return render();
+}
+
+async function render() {
+  const seq = ++renderSeq;
+  const { view, params } = currentRoute();
+  if (!view) return;
+  await views.get(view).render(params);
+  // only the latest navigation gets to move the page
+  if (seq === renderSeq) window.scrollTo(0, scrollByUrl.get(location.hash) ?? 0);
+}
+
+export function startRouter() {
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+  window.addEventListener("hashchange", (e) => {
+    scrollByUrl.set(new URL(e.oldURL).hash, window.scrollY);
+    render();
+  });
+  return render();
+}
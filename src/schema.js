@@ -0,0 +1,166 @@
+// src/schema.js
+// Snapshot versions -> one internal model, plus a validator that names the
+// offending field instead of letting it render as "—".
+//
+// Internal model (schema_version 2):
+//   { as_of_utc, account_base_ccy?, fx_rates?, cash_flows?, sha256?,
+//     payload: { accounts: { [id | "All"]: { [Field]: money } },
+//                positions: [{ symbol, secType, position, avgPrice, lastPrice,
+//                              unrealizedPnL, pctChange, instrument?,
+//                              expiry?, strike?, right?, ... }] } }
+//   options always carry expiry ("YYYYMMDD"), strike and right ("C" | "P"),
+//   parsed from the instrument description when a version only has that
+//   money = number | { value, currency } | "4354.98 USD" (see currency.js)
+//
+// Known inputs:
+//   v2     - the model above (what the API and IPFS files carry today)
+//   legacy - flat files like public/data/snapshot_2025-08-06_16-39-03.json: account
+//            ids as top-level keys, a "Positions" array with IBKR-export column
+//            names (PnL_$, PctChange "-72.72%", AvgPrice), no as_of_utc
+import { parseMoney } from "./currency.js";
+import { parseOptionLeg } from "./options.js";
+
+export const SCHEMA_VERSION = 2;
+
+const isObj = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+
+// "-72.72%" | -72.72 -> -72.72 (percent units); null if unparsable
+function pct(v) {
+  if (v == null || v === "") return null;
+  const n = Number(String(v).replace(/[%\s,]/g, ""));
+  return isFinite(n) ? n : null;
+}
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return isFinite(n) ? n : null;
+}
+
+// "snapshot_2025-08-06_16-39-03.json" -> "2025-08-06T16:39:03Z" (names carry UTC)
+export function asOfFromName(name) {
+  const m = /(\d{4}-\d{2}-\d{2})[_T ](\d{2})-?(\d{2})-?(\d{2})/.exec(name || "");
+  return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}Z` : null;
+}
+
+export function detectVersion(json) {
+  if (!isObj(json)) return "unknown";
+  if (isObj(json.payload) && (isObj(json.payload.accounts) || Array.isArray(json.payload.positions))) return "v2";
+  if (Array.isArray(json.Positions) || Object.values(json).some(v => isObj(v) && "NetLiquidation" in v)) return "legacy";
+  return "unknown";
+}
+
+const LEGACY_POSITION_FIELDS = {
+  Instrument: "instrument",
+  Symbol: "symbol",
+  SecType: "secType",
+  Position: "position",
+  AvgPrice: "avgPrice",
+  LastPrice: "lastPrice",
+  PctChange: "pctChange",
+  "PnL_$": "unrealizedPnL",
+  Currency: "currency",
+  Account: "account",
+};
+
+function normalizeLegacy(json) {
+  const accounts = {};
+  for (const [k, v] of Object.entries(json)) if (isObj(v)) accounts[k] = v;
+  const positions = (json.Positions || []).map(p => {
+    const out = {};
+    for (const [k, v] of Object.entries(p || {})) out[LEGACY_POSITION_FIELDS[k] ?? k] = v;
+    return out;
+  });
+  return { payload: { accounts, positions } };
+}
+
+// Numeric position fields may arrive as strings; coerce what parses.
+function normalizePosition(p) {
+  const out = { ...p };
+  for (const f of ["position", "avgPrice", "lastPrice", "unrealizedPnL"]) {
+    if (f in out) out[f] = num(out[f]) ?? out[f];
+  }
+  if ("pctChange" in out) out.pctChange = pct(out.pctChange) ?? out.pctChange;
+  // "META 08/08/25 710.0 PUT" -> expiry/strike/right, so every version keys
+  // and labels option legs the same way
+  const leg = out.secType === "OPT" ? parseOptionLeg(out) : null;
+  if (leg) {
+    out.expiry = leg.expiry.replace(/-/g, "");
+    out.strike = leg.strike;
+    out.right = leg.right;
+  }
+  return out;
+}
+
+/**
+ * Any known snapshot version -> internal model. Idempotent; unknown shapes
+ * pass through untouched (validateSnapshot reports them).
+ * opts.name: file name, used for as_of_utc when the snapshot has none
+ */
+export function normalizeSnapshot(json, { name } = {}) {
+  const version = detectVersion(json);
+  if (version === "unknown") return json;
+  if (json.schema_version === SCHEMA_VERSION) return json;
+
+  const body = version === "legacy" ? normalizeLegacy(json) : { payload: json.payload };
+  const positions = Array.isArray(body.payload.positions) ? body.payload.positions.map(normalizePosition) : [];
+  const asOf = json.as_of_utc ?? json.payload?.as_of_utc ?? asOfFromName(name);
+
+  return {
+    ...(version === "legacy" ? {} : json),
+    ...(version === "legacy" && json.sha256 ? { sha256: json.sha256 } : {}),
+    schema_version: SCHEMA_VERSION,
+    source_version: version,
+    as_of_utc: asOf ?? null,
+    payload: { ...body.payload, accounts: body.payload.accounts || {}, positions },
+  };
+}
+
+/**
+ * Problems in a normalised snapshot: [{ path, message }] ([] when clean).
+ * Only fields the dashboard reads are checked.
+ */
+export function validateSnapshot(json) {
+  const issues = [];
+  const bad = (path, message) => issues.push({ path, message });
+
+  if (!isObj(json)) return [{ path: "", message: "snapshot is not a JSON object" }];
+  if (detectVersion(json) === "unknown") bad("", "unrecognised snapshot shape (no payload.accounts / Positions)");
+
+  if (!json.as_of_utc) bad("as_of_utc", "missing");
+  else if (isNaN(new Date(json.as_of_utc).getTime())) bad("as_of_utc", `not a date: ${JSON.stringify(json.as_of_utc)}`);
+
+  const accounts = json.payload?.accounts;
+  if (!isObj(accounts) || !Object.keys(accounts).some(k => k !== "All")) {
+    bad("payload.accounts", "no accounts");
+  } else {
+    for (const [id, a] of Object.entries(accounts)) {
+      if (id !== "All" && a?.NetLiquidation == null) bad(`payload.accounts.${id}.NetLiquidation`, "missing");
+      for (const [field, v] of Object.entries(a || {})) {
+        if (parseMoney(v).amount == null) {
+          bad(`payload.accounts.${id}.${field}`, `expected a number or "123.45 USD", got ${JSON.stringify(v)}`);
+        }
+      }
+    }
+  }
+
+  const positions = json.payload?.positions;
+  if (positions != null && !Array.isArray(positions)) bad("payload.positions", "not an array");
+  (Array.isArray(positions) ? positions : []).forEach((p, i) => {
+    const at = `payload.positions[${i}]${p?.symbol ? ` (${p.symbol})` : ""}`;
+    if (!p?.symbol) bad(`${at}.symbol`, "missing");
+    if (typeof p?.position !== "number" || !isFinite(p.position)) bad(`${at}.position`, `expected a number, got ${JSON.stringify(p?.position)}`);
+    if (p?.secType === "OPT") {
+      for (const f of ["expiry", "strike", "right"]) {
+        if (p[f] == null || p[f] === "") bad(`${at}.${f}`, "missing (and not readable from the instrument description)");
+      }
+    }
+    for (const f of ["avgPrice", "lastPrice", "unrealizedPnL", "pctChange"]) {
+      if (p?.[f] != null && (typeof p[f] !== "number" || !isFinite(p[f]))) {
+        bad(`${at}.${f}`, `expected a number, got ${JSON.stringify(p[f])}`);
+      }
+    }
+  });
+
+  return issues;
+}
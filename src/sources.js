@@ -0,0 +1,136 @@
+// src/sources.js
+// One snapshot-source interface, several adapters. Every adapter returns
+// API-shaped rows, so views never need to know where data came from:
+//
+//   snapshotsSince(since, known) -> [{ sha256, as_of_utc, data }]
+//       since: newest as_of_utc already cached (null = everything); file-based
+//              adapters ignore it, the cache drops rows it already has
+//       known: Set of normalised sha256 already cached (lets slow sources skip work)
+//   cashFlows()  -> [{ trade_day, amount, currency?, account? }]   ([] if none)
+//   fxRates()    -> { base, rates } | null
+//   benchmarks() -> [{ trade_day, ... }]                            (throws if none)
+import { getSourceConfig } from "./config.js";
+import {
+  fetchSnapshotsSince, fetchCashFlows, fetchFxRates, fetchBenchmarks,
+  fetchAndVerifyByCID, verifyBytes
+} from "./dataLoader.js";
+import { readRegistry, REGISTRIES } from "./contract.js";
+import { normHash, mapLimit } from "./util.js";
+import { readAll } from "./idb.js";
+import { normalizeSnapshot } from "./schema.js";
+
+const isZero = (h) => !h || /^0x0+$/i.test(h);
+
+// Row from a parsed/verified file; the file-bytes hash is what the registry anchors.
+// Legacy files carry no as_of_utc, so the normaliser falls back to the file name.
+function fileRow(v, name) {
+  const data = normalizeSnapshot(v.json, { name });
+  if (!data?.as_of_utc) console.warn(`snapshot ${name} has no as_of_utc; skipped`);
+  return data?.as_of_utc ? { sha256: v.sha256_file, as_of_utc: data.as_of_utc, data } : null;
+}
+
+const noBenchmarks = async () => { throw new Error("This data source has no benchmark series"); };
+
+const apiSource = {
+  id: "api",
+  snapshotsSince: (since) => fetchSnapshotsSince(since),
+  cashFlows: fetchCashFlows,
+  fxRates: fetchFxRates,
+  benchmarks: fetchBenchmarks,
+};
+
+// Walk every registry and pull each anchored file from IPFS (once per hash).
+// An unreachable registry is skipped with a warning; if none can be read the
+// error is thrown, so the sync banner reports the source as down.
+const ipfsSource = {
+  id: "ipfs",
+  async snapshotsSince(_since, known = new Set()) {
+    const reads = await Promise.allSettled(REGISTRIES.map(r => readRegistry(r)));
+    const failed = reads.filter(r => r.status === "rejected");
+    reads.forEach((r, i) => {
+      if (r.status === "rejected") console.warn(`IPFS source: ${REGISTRIES[i].label} unreadable:`, r.reason?.message || r.reason);
+    });
+    if (failed.length && failed.length === reads.length) throw failed[0].reason;
+    const anchors = reads.flatMap(r => r.value ?? []);
+    const seen = new Set(known);
+    const todo = anchors.filter(a => {
+      const h = normHash(a.sha256File);
+      if (isZero(a.sha256File) || seen.has(h)) return false;
+      seen.add(h);
+      return true;
+    });
+    const rows = await mapLimit(todo, 6, async (a) => {
+      try {
+        const v = await fetchAndVerifyByCID(a.cid, a.sha256File);
+        if (!v.ok) console.warn(`IPFS ${a.cid}: hash does not match the registry`);
+        return fileRow(v, a.cid);
+      } catch (e) {
+        console.warn(`IPFS ${a.cid}:`, e?.message || e);
+        return null;
+      }
+    });
+    return rows.filter(Boolean);
+  },
+  cashFlows: async () => [],
+  fxRates: async () => null,
+  benchmarks: noBenchmarks,
+};
+
+// A folder served next to the app: index.json lists the snapshot files,
+// optional cashflows.json / fx.json / benchmarks.json sit beside it.
+function staticSource(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const getJson = async (name) => {
+    const res = await fetch(`${base}/${name}`, { cache: "no-store" });
+    if (!res.ok) throw new Error(`${base}/${name} -> ${res.status}`);
+    return res.json();
+  };
+  return {
+    id: "static",
+    async snapshotsSince() {
+      const files = await getJson("index.json");
+      const rows = await mapLimit(files, 4, async (name) => {
+        const res = await fetch(`${base}/${name}`, { cache: "no-store" });
+        if (!res.ok) throw new Error(`${base}/${name} -> ${res.status}`);
+        return fileRow(await verifyBytes(new Uint8Array(await res.arrayBuffer())), name);
+      });
+      return rows.filter(Boolean);
+    },
+    cashFlows: () => getJson("cashflows.json").catch(() => []),
+    fxRates: () => getJson("fx.json").catch(() => null),
+    benchmarks: () => getJson("benchmarks.json"),
+  };
+}
+
+// Files picked in Settings, kept in IndexedDB as { name, bytes: ArrayBuffer }.
+const uploadSource = {
+  id: "upload",
+  async snapshotsSince() {
+    const files = await readAll("uploads");
+    const rows = await Promise.all(files.map(async (f) => {
+      try {
+        return fileRow(await verifyBytes(new Uint8Array(f.bytes)), f.name);
+      } catch (e) {
+        console.warn(`upload ${f.name}:`, e?.message || e);
+        return null;
+      }
+    }));
+    return rows.filter(Boolean);
+  },
+  cashFlows: async () => [],
+  fxRates: async () => null,
+  benchmarks: noBenchmarks,
+};
+
+// The adapter selected by configuration; `key` changes whenever its data would.
+export function activeSource() {
+  const cfg = getSourceConfig();
+  const src = cfg.kind === "ipfs" ? ipfsSource
+    : cfg.kind === "static" ? staticSource(cfg.staticUrl)
+    : cfg.kind === "upload" ? uploadSource
+    : apiSource;
+  const key = cfg.kind === "static" ? `static:${cfg.staticUrl}`
+    : cfg.kind === "api" ? `api:${cfg.apiUrl}`
+    : cfg.kind;
+  return { ...src, key };
+}
@@ -0,0 +1,19 @@
+// src/theme.js
+// Class-based light/dark theme, persisted in localStorage.
+const THEME_KEY = 'theme';
+function getInitialTheme() {
+  const saved = localStorage.getItem(THEME_KEY);
+  if (saved === 'light' || saved === 'dark') return saved;
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+function applyTheme(t) {
+  document.documentElement.classList.toggle('dark', t === 'dark');
+  localStorage.setItem(THEME_KEY, t);
+}
+let theme = getInitialTheme();
+export const getTheme = () => theme;
+applyTheme(theme);
+export function toggleTheme() {
+  theme = theme === 'dark' ? 'light' : 'dark';
+  applyTheme(theme);
+}
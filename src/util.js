@@ -0,0 +1,20 @@
+// src/util.js
+// Small shared helpers with no app dependencies.
+
+// "0xABC…" / "abc…" -> "abc…" (lowercase, no prefix); null-safe.
+export const normHash = (h) => (h || "").toLowerCase().replace(/^0x/, "");
+
+// Run fn over items with at most `limit` calls in flight; results keep input order.
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
@@ -0,0 +1,132 @@
+// src/views/audit.js
+import { runAudit } from "../audit.js";
+import { REGISTRIES, registryByKey } from "../contract.js";
+import { explorerTxUrl } from "../chains.js";
+import { nyTradingDay, shortHash } from "../format.js";
+import { registerView } from "../router.js";
+import { navBar, wireHeaderEvents } from "../layout.js";
+
+const AUDIT_LABELS = {
+  "match":        { text: "✅ Match",        color: "var(--ok)" },
+  "mismatch":     { text: "❌ Mismatch",     color: "var(--bad)" },
+  "missing-db":   { text: "⚠️ Missing from source", color: "var(--warn)" },
+  "missing-ipfs": { text: "⚠️ Missing on IPFS", color: "var(--warn)" },
+  "error":        { text: "❌ Chain read failed", color: "var(--bad)" },
+};
+
+const esc = (s) => String(s ?? "").replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+
+// Only worth a column when more than one registry is configured.
+const MULTI = REGISTRIES.length > 1;
+const registryOrder = (key) => REGISTRIES.findIndex(r => r.key === key);
+
+function txCell(r) {
+  if (!r.tx) return "—";
+  const url = explorerTxUrl(registryByKey(r.registry).chain, r.tx.txHash);
+  const block = url ? `<a href="${url}" target="_blank">${r.tx.blockNumber}</a>` : r.tx.blockNumber;
+  return `${block} <span style="color:var(--muted);font-size:12px;">(${r.tx.confirmations} conf.)</span>`;
+}
+
+function auditRowHtml(r) {
+  const lbl = AUDIT_LABELS[r.status];
+  const drift = r.flags?.length
+    ? ` <span style="color:var(--warn);" title="${esc(r.flags.map(f => f.message).join("\n"))}">⚠️ drift</span>` : "";
+  return `
+    <tr style="border-bottom:1px solid var(--table-border);" title="${esc(r.error)}">
+      ${MULTI ? `<td>${esc(registryByKey(r.registry).label)}</td>` : ""}
+      <td style="text-align:right;">${r.index}</td>
+      <td>${r.asOf ? nyTradingDay(r.asOf) : "—"}</td>
+      <td><code>${shortHash(r.onchain)}</code></td>
+      <td><code>${shortHash(r.ipfs)}</code></td>
+      <td><code>${shortHash(r.db)}</code></td>
+      <td style="white-space:nowrap;">${txCell(r)}</td>
+      <td><code>${shortHash(r.tx?.publisher)}</code></td>
+      <td style="color:${lbl.color};font-weight:600;">${lbl.text}${drift}</td>
+    </tr>`;
+}
+
+async function renderAudit() {
+  const app = document.querySelector('#app');
+  app.innerHTML = `
+    <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+      <h1 style="margin:0;">Audit</h1>
+      <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+        ${navBar()}
+      </span>
+    </div>
+
+    <p style="color:var(--muted);margin:0 0 12px;">
+      Re-verifies every on-chain snapshot: on-chain bytes32 vs IPFS file SHA-256 vs the data source's sha256,
+      with the anchoring block and publisher from the registry logs. ⚠️ drift marks a registry timestamp far
+      from its block time or from the snapshot's as_of_utc (hover for details).
+    </p>
+
+    <div style="display:flex;align-items:center;gap:12px;margin-bottom:12px;">
+      <button id="auditRun">Run audit</button>
+      <progress id="auditProgress" value="0" max="1" style="flex:1 1 auto;"></progress>
+      <span id="auditStatus" style="color:var(--muted);font-size:13px;">Idle</span>
+    </div>
+
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            ${MULTI ? "<th>Registry</th>" : ""}<th style="text-align:right;">#</th><th>Trading day</th><th>On-chain</th>
+            <th>IPFS file</th><th>Source</th><th>Block</th><th>Publisher</th><th>Result</th>
+          </tr>
+        </thead>
+        <tbody id="auditRows"></tbody>
+      </table>
+    </div>
+  `;
+
+  wireHeaderEvents();
+
+  const btn = document.getElementById('auditRun');
+  btn.addEventListener('click', async () => {
+    const bar = document.getElementById('auditProgress');
+    const status = document.getElementById('auditStatus');
+    const tbody = document.getElementById('auditRows');
+    const counts = { "match": 0, "mismatch": 0, "missing-db": 0, "missing-ipfs": 0, "error": 0 };
+    const done = [];
+    let drifted = 0;
+
+    btn.disabled = true;
+    tbody.innerHTML = "";
+    status.textContent = "Reading chain…";
+    try {
+      await runAudit({
+        concurrency: 4,
+        onRow: (row, n, total) => {
+          counts[row.status]++;
+          if (row.flags?.length) drifted++;
+          // rows finish out of order; insert each one in place so the table
+          // stays sorted by registry, then index
+          const before = (a, b) => (registryOrder(a.registry) - registryOrder(b.registry)) || (a.index - b.index);
+          const at = done.findIndex(d => before(row, d) < 0);
+          if (at < 0) {
+            done.push(row);
+            tbody.insertAdjacentHTML('beforeend', auditRowHtml(row));
+          } else {
+            done.splice(at, 0, row);
+            tbody.rows[at].insertAdjacentHTML('beforebegin', auditRowHtml(row));
+          }
+          bar.max = total;
+          bar.value = n;
+          status.textContent = `${n}/${total} • ${counts["match"]} match, ${counts["mismatch"]} mismatch, `
+            + `${counts["missing-db"]} missing from source, ${counts["missing-ipfs"]} missing on IPFS`
+            + (counts["error"] ? `, ${counts["error"]} unreadable` : "")
+            + (drifted ? `, ${drifted} with timestamp drift` : "");
+        }
+      });
+      if (!done.length) status.textContent = "No snapshots on-chain yet.";
+    } catch (err) {
+      console.error(err);
+      status.textContent = err.message;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+registerView('audit', { label: 'Audit', render: renderAudit });
@@ -0,0 +1,132 @@
+// src/views/benchmarkPanel.js
+// Relative stats vs each configured benchmark, rolling beta and a daily-return scatter.
+import Chart from 'chart.js/auto';
+import { alignReturns, relativeStats, rollingBeta } from "../benchmarks.js";
+
+const pct = (x, dp = 2) => (x == null ? "—" : (x * 100).toFixed(dp) + "%");
+const num = (x, dp = 2) => (x == null ? "—" : x.toFixed(dp));
+
+/**
+ * perf: computePerformance() output; rows: /benchmarks rows; config: benchmarkConfig(rows)
+ */
+export function mountBenchmarkPanel(el, perf, rows, config) {
+  if (!el) return;
+  const all = config.map(c => {
+    const pairs = alignReturns(perf.returns, rows, c.key);
+    return { ...c, pairs, stats: relativeStats(pairs) };
+  }).filter(b => b.pairs.length > 0);
+
+  if (all.length === 0) {
+    el.innerHTML = `<h2 style="margin:28px 0 10px;">Benchmarks</h2>
+      <div style="color:var(--muted);">No benchmark data overlapping the portfolio history.</div>`;
+    return;
+  }
+
+  const longest = Math.max(...all.map(b => b.pairs.length));
+  const window = longest >= 120 ? 60 : Math.max(10, Math.floor(longest / 2));
+  let selected = all[0].key;
+  let scatter = null;
+
+  el.innerHTML = `
+    <h2 style="margin:28px 0 10px;">Benchmarks</h2>
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;font-size:13px;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            <th>Benchmark</th><th style="text-align:right;">Days</th>
+            <th style="text-align:right;">Beta</th><th style="text-align:right;">Alpha (ann.)</th>
+            <th style="text-align:right;">Correl.</th><th style="text-align:right;">R²</th>
+            <th style="text-align:right;">Tracking Err.</th><th style="text-align:right;">Info Ratio</th>
+            <th style="text-align:right;">Up Capture</th><th style="text-align:right;">Down Capture</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${all.map(b => `
+            <tr>
+              <td><span style="color:${b.color};">●</span> ${b.key}</td>
+              <td style="text-align:right;">${b.stats.n}</td>
+              <td style="text-align:right;">${num(b.stats.beta)}</td>
+              <td style="text-align:right;">${pct(b.stats.alpha)}</td>
+              <td style="text-align:right;">${num(b.stats.correlation)}</td>
+              <td style="text-align:right;">${num(b.stats.r2)}</td>
+              <td style="text-align:right;">${pct(b.stats.tracking_error)}</td>
+              <td style="text-align:right;">${num(b.stats.information_ratio)}</td>
+              <td style="text-align:right;">${pct(b.stats.up_capture, 0)}</td>
+              <td style="text-align:right;">${pct(b.stats.down_capture, 0)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>
+
+    <div style="display:grid; grid-template-columns:1fr 1fr; gap:20px;margin-top:14px;">
+      <div>
+        <h3 style="margin:10px 0;">Rolling ${window}-day Beta</h3>
+        <div style="height: 260px;"><canvas id="rollingBetaChart"></canvas></div>
+      </div>
+      <div>
+        <div style="display:flex;align-items:center;gap:10px;">
+          <h3 style="margin:10px 0;">Daily Returns vs</h3>
+          <select id="scatterBench">${all.map(b => `<option>${b.key}</option>`).join("")}</select>
+        </div>
+        <div style="height: 260px;"><canvas id="scatterChart"></canvas></div>
+      </div>
+    </div>`;
+
+  new Chart(el.querySelector('#rollingBetaChart').getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: all.map(b => ({
+        label: b.key,
+        data: rollingBeta(b.pairs, window).map(d => ({ x: d.date, y: d.beta })),
+        borderColor: b.color, borderWidth: 1.5, fill: false, tension: 0.2, pointRadius: 0, pointHoverRadius: 4
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { display: true }, tooltip: { mode: "index", intersect: false } },
+      scales: {
+        x: { type: "time", time: { unit: "day", tooltipFormat: "yyyy-MM-dd" }, ticks: { autoSkip: true, maxTicksLimit: 6 } },
+        y: { title: { display: true, text: "Beta" } }
+      }
+    }
+  });
+
+  function drawScatter() {
+    const b = all.find(x => x.key === selected);
+    const xs = b.pairs.map(p => p.b * 100);
+    const lo = Math.min(...xs), hi = Math.max(...xs);
+    const { beta, alpha } = b.stats;
+    const a = alpha == null ? 0 : (alpha / 252) * 100; // daily, in % units
+    scatter?.destroy();
+    scatter = new Chart(el.querySelector('#scatterChart').getContext("2d"), {
+      type: "scatter",
+      data: {
+        datasets: [
+          { label: "Days", data: b.pairs.map(p => ({ x: p.b * 100, y: p.p * 100, date: p.date })),
+            backgroundColor: b.color, pointRadius: 3 },
+          ...(beta == null ? [] : [{
+            label: `Fit: β=${beta.toFixed(2)}`, type: "line",
+            data: [{ x: lo, y: a + beta * lo }, { x: hi, y: a + beta * hi }],
+            borderColor: "#888", borderDash: [4, 3], borderWidth: 1.5, pointRadius: 0
+          }])
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true },
+          tooltip: { callbacks: { label: (c) => `${c.raw.date ?? ""} ${b.key} ${c.parsed.x.toFixed(2)}% / Port ${c.parsed.y.toFixed(2)}%` } }
+        },
+        scales: {
+          x: { title: { display: true, text: `${b.key} daily %` } },
+          y: { title: { display: true, text: "Portfolio daily %" } }
+        }
+      }
+    });
+  }
+
+  el.querySelector('#scatterBench').addEventListener('change', (e) => { selected = e.target.value; drawScatter(); });
+  drawScatter();
+}
@@ -0,0 +1,51 @@
+// src/views/calendarPanel.js
+// Monthly/yearly returns grid (LP-report layout) for the Performance view.
+import { calendarReturns } from "../history.js";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const pct = (x) => (x == null ? "" : `${x > 0 ? "+" : ""}${(x * 100).toFixed(2)}%`);
+
+// Green for gains, red for losses; opacity scales with |ret| against the largest month.
+function cellBg(ret, maxAbs) {
+  if (ret == null || !maxAbs) return "transparent";
+  const a = Math.min(1, Math.abs(ret) / maxAbs) * 0.75 + 0.1;
+  return ret >= 0 ? `rgba(0,170,34,${a.toFixed(2)})` : `rgba(221,51,51,${a.toFixed(2)})`;
+}
+
+export function calendarHtml(perf) {
+  const rows = calendarReturns(perf.returns);
+  if (rows.length === 0) return "";
+  const thisYear = new Date().getFullYear();
+  const maxAbs = Math.max(0, ...rows.flatMap(r => r.months.filter(Boolean).map(c => Math.abs(c.ret))));
+  const maxAbsYear = Math.max(0, ...rows.map(r => Math.abs(r.total)));
+  const td = "text-align:right;padding:6px 8px;border:1px solid var(--table-border);";
+
+  return `
+    <h2 style="margin:28px 0 10px;">Monthly Returns</h2>
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;font-size:13px;">
+        <thead>
+          <tr>
+            <th style="text-align:left;padding:6px 8px;">Year</th>
+            ${MONTHS.map(m => `<th style="text-align:right;padding:6px 8px;">${m}</th>`).join("")}
+            <th style="text-align:right;padding:6px 8px;">YTD / Year</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(r => `
+            <tr>
+              <td style="padding:6px 8px;border:1px solid var(--table-border);font-weight:600;">${r.year}</td>
+              ${r.months.map((c, i) => `
+                <td style="${td}background:${cellBg(c?.ret, maxAbs)};"
+                    title="${c ? `${MONTHS[i]} ${r.year}: ${pct(c.ret)} • ${c.days} trading day${c.days === 1 ? "" : "s"}` : ""}">
+                  ${pct(c?.ret)}
+                </td>`).join("")}
+              <td style="${td}font-weight:700;background:${cellBg(r.total, maxAbsYear)};"
+                  title="${r.year === thisYear ? "YTD" : r.year}: ${pct(r.total)} • ${r.days} trading days">
+                ${pct(r.total)}
+              </td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
@@ -0,0 +1,164 @@
+// src/views/compare.js
+import { activeSource } from "../sources.js";
+import { loadSnapshots } from "../cache.js";
+import { fxFor, getReportingCcy } from "../currency.js";
+import { fetchAnchors } from "../history.js";
+import { diffPositions, diffAccounts } from "../diff.js";
+import { normHash } from "../util.js";
+import { fmtMoney, fmtSigned, shortHash, symOpt, nyTradingDay } from "../format.js";
+import { registerView, navigate } from "../router.js";
+import { navBar, wireHeaderEvents, accountSelect, syncBanner, schemaIssuesHtml } from "../layout.js";
+import { accountKeys, accountLabel, positionsFor, resolveAccount } from "../accounts.js";
+
+const DIFF_LABELS = {
+  opened:    { text: "Opened",  color: "var(--ok)" },
+  closed:    { text: "Closed",  color: "var(--bad)" },
+  resized:   { text: "Resized", color: "var(--warn)" },
+  unchanged: { text: "—",       color: "var(--muted)" },
+};
+const legLabel = (p) => (p.secType === "OPT" ? symOpt(p) : p.symbol);
+
+function compareSide(snap, anchored, label) {
+  if (!snap) return `<div style="color:var(--muted);">${label}: no snapshot</div>`;
+  return `
+    <div style="display:flex;align-items:center;gap:8px;">
+      <b>${label}: ${nyTradingDay(snap.as_of_utc)}</b>
+      <span class="badge" style="background:${anchored ? 'var(--badge-ok-bg)' : 'var(--badge-bad-bg)'};font-size:12px;">
+        ${anchored ? 'Verified' : 'Unverified'}
+      </span>
+      <code style="font-size:12px;color:var(--muted);">${shortHash(normHash(snap.sha256))}</code>
+    </div>`;
+}
+
+async function renderCompare(params) {
+  const app = document.querySelector('#app');
+  app.innerHTML = "<h1>Compare</h1><p>Loading snapshots…</p>";
+
+  try {
+    const [apiSnaps, apiRates] = await Promise.all([loadSnapshots(), activeSource().fxRates()]);
+    const anchors = await fetchAnchors().catch(() => new Map());
+
+    // last snapshot per trading day
+    const byDay = new Map();
+    for (const s of apiSnaps) byDay.set(nyTradingDay(s.as_of_utc), s);
+    const days = [...byDay.keys()].sort();
+
+    // ?from=&to= (defaults: the two most recent days)
+    const to = byDay.has(params.get("to")) ? params.get("to") : days[days.length - 1];
+    const from = byDay.has(params.get("from")) ? params.get("from") : days[Math.max(0, days.indexOf(to) - 1)];
+    const a = byDay.get(from) || null;
+    const b = byDay.get(to) || null;
+    const anchoredA = !!a && anchors.has(normHash(a.sha256));
+    const anchoredB = !!b && anchors.has(normHash(b.sha256));
+
+    const accountsA = a?.data?.payload?.accounts || {};
+    const accountsB = b?.data?.payload?.accounts || {};
+    const account = resolveAccount({ ...accountsA, ...accountsB });
+    const ccy = getReportingCcy();
+    const money = (x) => fmtMoney(x, ccy);
+    const fxA = fxFor(a?.data, ccy, apiRates);
+    const fxB = fxFor(b?.data, ccy, apiRates);
+    const acctRows = diffAccounts(accountsA, accountsB, account, fxA, fxB);
+    const legs = diffPositions(
+      positionsFor(a?.data?.payload?.positions, account),
+      positionsFor(b?.data?.payload?.positions, account),
+      fxA, fxB
+    );
+    const moved = legs.filter(l => l.status !== "unchanged");
+
+    const options = (sel) => days.map(d => `<option ${d === sel ? 'selected' : ''}>${d}</option>`).join("");
+
+    app.innerHTML = `
+      <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+        <h1 style="margin:0;">Compare</h1>
+        <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+          ${accountSelect(accountKeys({ ...accountsA, ...accountsB }), account)}
+          ${navBar()}
+        </span>
+      </div>
+      ${syncBanner()}
+      ${schemaIssuesHtml(a?.issues, `Schema problems in ${from}`)}
+      ${schemaIssuesHtml(b?.issues, `Schema problems in ${to}`)}
+
+      <div style="display:flex;gap:12px;align-items:center;flex-wrap:wrap;margin-bottom:12px;">
+        <label>From <select id="cmpFrom">${options(from)}</select></label>
+        <label>To <select id="cmpTo">${options(to)}</select></label>
+      </div>
+
+      <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-bottom:16px;">
+        ${compareSide(a, anchoredA, "From")}
+        ${compareSide(b, anchoredB, "To")}
+      </div>
+
+      <h2 style="margin:10px 0;">Account <span style="font-size:13px;color:var(--muted);font-weight:400;">(${accountLabel(account)})</span></h2>
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            <th></th><th style="text-align:right;">${from ?? "—"}</th>
+            <th style="text-align:right;">${to ?? "—"}</th><th style="text-align:right;">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${acctRows.map(r => `
+            <tr>
+              <td>${r.label}</td>
+              <td style="text-align:right;">${money(r.before)}</td>
+              <td style="text-align:right;">${money(r.after)}</td>
+              <td style="text-align:right;color:${r.delta > 0 ? 'var(--ok)' : r.delta < 0 ? 'var(--bad)' : 'inherit'};">
+                ${fmtSigned(r.delta, money)}
+              </td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+
+      <h2 style="margin:18px 0 10px;">Positions
+        <span style="font-size:13px;color:var(--muted);font-weight:400;">
+          (${legs.filter(l => l.status === "opened").length} opened,
+           ${legs.filter(l => l.status === "closed").length} closed,
+           ${legs.filter(l => l.status === "resized").length} resized)
+        </span>
+      </h2>
+      ${moved.length === 0 ? `<div style="color:var(--muted);">No position changes</div>` : `
+      <div style="overflow:auto;">
+        <table style="width:100%;border-collapse:collapse;">
+          <thead>
+            <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+              <th>Change</th><th>Symbol</th><th>Type</th>
+              <th style="text-align:right;">Qty ${from}</th><th style="text-align:right;">Qty ${to}</th>
+              <th style="text-align:right;">Δ Qty</th><th style="text-align:right;">Δ Unrealized</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${moved.map(l => {
+              const p = l.after || l.before;
+              const lbl = DIFF_LABELS[l.status];
+              return `
+              <tr>
+                <td style="color:${lbl.color};font-weight:600;">${lbl.text}</td>
+                <td>${legLabel(p)}</td>
+                <td>${p.secType}</td>
+                <td style="text-align:right;">${l.before?.position ?? 0}</td>
+                <td style="text-align:right;">${l.after?.position ?? 0}</td>
+                <td style="text-align:right;">${fmtSigned(l.qtyDelta, String)}</td>
+                <td style="text-align:right;">${fmtSigned(l.pnlDelta, money)}</td>
+              </tr>`;
+            }).join("")}
+          </tbody>
+        </table>
+      </div>`}
+    `;
+
+    wireHeaderEvents();
+    const go = () => navigate('compare', {
+      from: document.getElementById('cmpFrom').value,
+      to: document.getElementById('cmpTo').value,
+    });
+    document.getElementById('cmpFrom').addEventListener('change', go);
+    document.getElementById('cmpTo').addEventListener('change', go);
+  } catch (err) {
+    console.error(err);
+    app.innerHTML = `<h1>Compare</h1><p style="color:#f55;">${err.message}</p>`;
+  }
+}
+
+registerView('compare', { label: 'Compare', render: renderCompare });
@@ -0,0 +1,47 @@
+// src/views/dragZoom.js
+// Chart.js plugin: drag across a time-axis chart to pick a date window.
+// It doesn't zoom the chart itself — onSelect(from, to) drives the page range
+// so every chart and stat stays in sync.
+
+const ymd = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Add to a chart config: { ...config, plugins: [dragZoom(cb)], options: { events: DRAG_EVENTS, ... } }
+// Chart.js reports touchstart/touchmove/touchend as mousedown/mousemove/mouseup;
+// touchend carries no position, so the selection ends at the last move.
+export const DRAG_EVENTS = ["mousedown", "mousemove", "mouseup", "mouseout", "click", "touchstart", "touchmove", "touchend"];
+
+export function dragZoom(onSelect) {
+  let start = null;
+  let cur = null;
+  return {
+    id: "dragZoom",
+    afterEvent(chart, args) {
+      const e = args.event;
+      const { left, right } = chart.chartArea;
+      const x = Math.min(Math.max(e.x, left), right);
+      if (e.type === "mousedown") { start = x; cur = x; }
+      else if (e.type === "mousemove" && start != null) { cur = x; args.changed = true; }
+      else if ((e.type === "mouseup" || e.type === "mouseout") && start != null) {
+        const [a, b] = [Math.min(start, cur), Math.max(start, cur)];
+        start = cur = null;
+        args.changed = true;
+        if (e.type === "mouseup" && b - a > 8) {
+          const xs = chart.scales.x;
+          onSelect(ymd(xs.getValueForPixel(a)), ymd(xs.getValueForPixel(b)));
+        }
+      }
+    },
+    afterDraw(chart) {
+      if (start == null || cur == null || start === cur) return;
+      const { top, bottom } = chart.chartArea;
+      const g = chart.ctx;
+      g.save();
+      g.fillStyle = "rgba(76,175,239,0.15)";
+      g.fillRect(Math.min(start, cur), top, Math.abs(cur - start), bottom - top);
+      g.restore();
+    }
+  };
+}
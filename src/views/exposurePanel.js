@@ -0,0 +1,143 @@
+// src/views/exposurePanel.js
+// Exposure/concentration breakdown shown beside the Overview positions table.
+import Chart from 'chart.js/auto';
+import { exposureBreakdown } from "../exposure.js";
+import { underlyingPrices } from "../options.js";
+import { fmtMoney } from "../format.js";
+
+const LIMIT_KEY = 'concentrationLimit';
+const DEFAULT_LIMIT = Number(import.meta.env.VITE_CONCENTRATION_LIMIT ?? 0.25);
+const RATE = Number(import.meta.env.VITE_RISK_FREE_RATE ?? 0.04);
+
+function getLimit() {
+  const v = Number(localStorage.getItem(LIMIT_KEY));
+  return v > 0 && v <= 10 ? v : DEFAULT_LIMIT;
+}
+
+const pct = (x) => (x == null ? "—" : (x * 100).toFixed(1) + "%");
+
+// Concentration is gross notional against NetLiquidation, so one small name
+// isn't flagged just for being the only one; share of gross when NLV is unknown.
+const concentration = (g) => g.pctGross ?? g.share;
+
+const GROUPINGS = [
+  { id: "byUnderlying", label: "underlying" },
+  { id: "bySecType",    label: "security type" },
+  { id: "byExpiry",     label: "expiry" },
+];
+
+function groupTable(title, rows, ccy, limit) {
+  return `
+    <h3 style="margin:14px 0 6px;">${title}</h3>
+    <table style="width:100%;border-collapse:collapse;font-size:12px;">
+      <thead>
+        <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+          <th></th><th style="text-align:right;">Gross</th><th style="text-align:right;">Net</th>
+          <th style="text-align:right;">Δ-adj</th><th style="text-align:right;">Δ-adj % NLV</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(g => `
+          <tr ${limit != null && concentration(g) > limit ? 'style="color:var(--bad);font-weight:700;"' : ''}>
+            <td>${g.key}</td>
+            <td style="text-align:right;">${fmtMoney(g.gross, ccy)}</td>
+            <td style="text-align:right;">${fmtMoney(g.net, ccy)}</td>
+            <td style="text-align:right;">${g.deltaKnown ? fmtMoney(g.delta, ccy) : "—"}</td>
+            <td style="text-align:right;">${pct(g.pctNetLiq)}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+// horizontal bars: room for each group's bars plus the legend
+const chartHeight = (groups) => 40 + groups.length * 40;
+
+/**
+ * positions: account-filtered legs; payload: snapshot payload (spot prices);
+ * fx: currency.js converter; netLiq: in fx.ccy.
+ */
+export function mountExposurePanel(el, positions, { payload, asOfMs, fx, netLiq }) {
+  if (!el) return;
+  if (!positions?.length) { el.innerHTML = ""; return; }
+  let charts = [];
+  let grouping = "byUnderlying";
+
+  function draw() {
+    const limit = getLimit();
+    const ex = exposureBreakdown(positions, { spots: underlyingPrices(payload), asOfMs, rate: RATE, fx, netLiq });
+    const flagged = ex.byUnderlying.filter(g => concentration(g) > limit);
+    const base = netLiq ? "of NLV (gross notional)" : "of gross (NetLiquidation unknown)";
+    const groups = ex[grouping];
+
+    el.innerHTML = `
+      <h2 style="margin:10px 0;">Exposure</h2>
+      ${flagged.length ? `
+        <div style="border:1px solid var(--bad);color:var(--bad);border-radius:8px;padding:8px;font-size:13px;margin-bottom:8px;">
+          ⚠️ Concentration: ${flagged.map(g => `${g.key} ${pct(concentration(g))}`).join(", ")} ${base} (limit ${pct(limit)})
+        </div>` : ""}
+      <div style="font-size:12px;color:var(--muted);display:flex;gap:8px;align-items:center;">
+        Gross ${fmtMoney(ex.totals.gross, fx.ccy)} • ${pct(netLiq ? ex.totals.gross / netLiq : null)} of NLV
+        <label style="margin-left:auto;" title="Largest gross notional per underlying, ${base}">Limit
+          <input id="concLimit" type="number" min="1" max="1000" step="1" value="${Math.round(limit * 100)}" style="width:4em;">%
+        </label>
+      </div>
+      <div style="font-size:12px;margin-top:8px;">
+        Charts by <select id="exposureGroup">${GROUPINGS.map(g =>
+          `<option value="${g.id}" ${g.id === grouping ? "selected" : ""}>${g.label}</option>`).join("")}</select>
+      </div>
+      <h3 style="margin:10px 0 6px;">Notional (${fx.ccy})</h3>
+      <div style="height:${chartHeight(groups)}px;"><canvas id="exposureNotional"></canvas></div>
+      <h3 style="margin:10px 0 6px;">% of NetLiquidation</h3>
+      ${netLiq ? `<div style="height:${chartHeight(groups)}px;"><canvas id="exposureNlv"></canvas></div>`
+        : `<div style="font-size:12px;color:var(--muted);">NetLiquidation unknown for this account</div>`}
+      ${groupTable("By underlying", ex.byUnderlying, fx.ccy, limit)}
+      ${groupTable("By security type", ex.bySecType, fx.ccy)}
+      ${groupTable("By expiry", ex.byExpiry, fx.ccy)}`;
+
+    el.querySelector('#concLimit').addEventListener('change', (e) => {
+      const v = Number(e.target.value) / 100;
+      if (v > 0 && v <= 10) localStorage.setItem(LIMIT_KEY, String(v));
+      draw();
+    });
+
+    el.querySelector('#exposureGroup').addEventListener('change', (e) => {
+      grouping = e.target.value;
+      draw();
+    });
+
+    charts.forEach(c => c.destroy());
+    const labels = groups.map(g => g.key);
+    const hbar = (canvas, datasets, fmt) => new Chart(canvas.getContext("2d"), {
+      type: "bar",
+      data: { labels, datasets },
+      options: {
+        indexAxis: "y",
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { boxWidth: 10 } },
+          tooltip: { callbacks: { label: (c) => `${c.dataset.label}: ${fmt(c.parsed.x)}` } }
+        },
+        scales: { x: { ticks: { callback: fmt } } }
+      }
+    });
+    charts = [hbar(el.querySelector('#exposureNotional'), [
+      { label: "Gross", data: groups.map(g => g.gross), backgroundColor: "#4cafef" },
+      { label: "Net", data: groups.map(g => g.net), backgroundColor: "#1565c0" },
+      { label: "Δ-adjusted", data: groups.map(g => (g.deltaKnown ? g.delta : null)), backgroundColor: "#ff9800" },
+    ], (v) => fmtMoney(v, fx.ccy))];
+    const nlv = el.querySelector('#exposureNlv');
+    if (nlv) {
+      // the limit only applies per underlying, so only colour those bars
+      const over = (g) => grouping === "byUnderlying" && concentration(g) > limit;
+      charts.push(hbar(nlv, [
+        { label: "Gross % NLV", data: groups.map(g => g.pctGross * 100),
+          backgroundColor: groups.map(g => (over(g) ? "#f55" : "#4cafef")) },
+        { label: "Δ-adj % NLV", data: groups.map(g => (g.pctNetLiq == null ? null : g.pctNetLiq * 100)),
+          backgroundColor: "#ff9800" },
+      ], (v) => `${Number(v).toFixed(1)}%`));
+    }
+  }
+
+  draw();
+}
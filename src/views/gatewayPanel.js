@@ -0,0 +1,70 @@
+// src/views/gatewayPanel.js
+// IPFS gateway status: race order, success rate, latency and backoff, with a
+// probe against the latest anchored snapshot to refresh the numbers.
+import { rankedGateways, gatewayHealth, resetGatewayHealth } from "../gateways.js";
+import { probeGateways } from "../dataLoader.js";
+import { getLatestOnChainAll } from "../contract.js";
+
+const esc = (s) => String(s ?? "").replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+
+function rowHtml({ gateway, backedOff }, i, health) {
+  const h = health[gateway];
+  const total = h ? h.ok + h.fail : 0;
+  const rate = total ? `${Math.round((h.ok / total) * 100)}%` : "—";
+  const state = backedOff
+    ? `<span style="color:var(--bad);">backoff until ${new Date(h.backoffUntil).toLocaleTimeString()}</span>`
+    : total ? `<span style="color:var(--ok);">ready</span>` : `<span style="color:var(--muted);">untested</span>`;
+  return `
+    <tr style="border-bottom:1px solid var(--table-border);" title="${esc(h?.lastError)}">
+      <td style="text-align:right;">${i + 1}</td>
+      <td><code>${esc(gateway)}</code></td>
+      <td style="text-align:right;">${rate}</td>
+      <td style="text-align:right;">${h ? `${h.ok} / ${h.fail}` : "—"}</td>
+      <td style="text-align:right;">${h?.latencyMs != null ? `${h.latencyMs} ms` : "—"}</td>
+      <td>${state}</td>
+    </tr>`;
+}
+
+export function mountGatewayPanel(el) {
+  let status = "";
+
+  function draw() {
+    const health = gatewayHealth();
+    el.innerHTML = `
+      <table style="width:100%;max-width:760px;border-collapse:collapse;font-size:13px;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            <th style="text-align:right;">Order</th><th>Gateway</th><th style="text-align:right;">Success</th>
+            <th style="text-align:right;">OK / failed</th><th style="text-align:right;">Latency</th><th>Status</th>
+          </tr>
+        </thead>
+        <tbody>${rankedGateways("").map((g, i) => rowHtml(g, i, health)).join("")}</tbody>
+      </table>
+      <div style="display:flex;gap:8px;align-items:center;margin-top:8px;">
+        <button id="gwProbe">Probe with latest snapshot</button>
+        <button id="gwReset">Reset stats</button>
+        <span style="color:var(--muted);font-size:12px;">${esc(status)}</span>
+      </div>`;
+
+    el.querySelector('#gwProbe').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      status = "Probing…";
+      try {
+        const { cid } = await getLatestOnChainAll();
+        if (!cid) throw new Error("No snapshots on-chain yet");
+        const results = await probeGateways(cid);
+        status = `${results.filter(r => r.ok).length}/${results.length} gateways served ${cid.slice(0, 12)}…`;
+      } catch (err) {
+        status = err.message;
+      }
+      draw();
+    });
+    el.querySelector('#gwReset').addEventListener('click', () => {
+      resetGatewayHealth();
+      status = "";
+      draw();
+    });
+  }
+
+  draw();
+}
@@ -0,0 +1,164 @@
+// src/views/inspect.js
+// Raw snapshot inspector: the anchored file as served by IPFS, every hash
+// fetchAndVerifyByCID computes, and a downloadable verification bundle.
+import { fetchAnchors } from "../history.js";
+import { fetchAndVerifyByCID } from "../dataLoader.js";
+import { getChainInfo, getAnchorLog, getSnapshotCalldata, registryByKey, REGISTRIES } from "../contract.js";
+import { explorerAddressUrl } from "../chains.js";
+import { driftFlags } from "../provenance.js";
+import { normalizeSnapshot } from "../schema.js";
+import { buildProofBundle } from "../proofBundle.js";
+import { downloadBlob } from "../export.js";
+import { nyTradingDay, nyTimestamp } from "../format.js";
+import { normHash } from "../util.js";
+import { registerView, navigate } from "../router.js";
+import { navBar, wireHeaderEvents, provenanceHtml } from "../layout.js";
+
+const esc = (s) => String(s).replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+
+// Collapsible tree: objects/arrays as <details>, first two levels open.
+function jsonTree(v, key = null, depth = 0) {
+  const label = key == null ? "" : `<span style="color:var(--muted);">${esc(key)}:</span> `;
+  if (v === null || typeof v !== "object") {
+    const color = typeof v === "string" ? "var(--ok)" : typeof v === "number" ? "#4cafef" : "var(--warn)";
+    return `<div style="padding-left:14px;">${label}<span style="color:${color};">${esc(JSON.stringify(v))}</span></div>`;
+  }
+  const entries = Array.isArray(v) ? v.map((x, i) => [i, x]) : Object.entries(v);
+  const summary = Array.isArray(v) ? `[${entries.length}]` : `{${entries.length}}`;
+  return `
+    <details ${depth < 2 ? 'open' : ''} style="padding-left:${key == null ? 0 : 14}px;">
+      <summary>${label}<span style="color:var(--muted);">${summary}</span></summary>
+      ${entries.map(([k, x]) => jsonTree(x, k, depth + 1)).join("")}
+    </details>`;
+}
+
+function hashRow(label, value, note = "") {
+  return `
+    <tr style="border-bottom:1px solid var(--table-border);">
+      <td style="white-space:nowrap;padding-right:8px;">${label}</td>
+      <td><code style="word-break:break-all;">${value ?? "—"}</code>
+        ${note ? `<div style="color:var(--muted);font-size:12px;">${note}</div>` : ""}</td>
+    </tr>`;
+}
+
+const tick = (ok) => ok == null ? "—" : ok
+  ? `<span style="color:var(--ok);font-weight:600;">✅ match</span>`
+  : `<span style="color:var(--bad);font-weight:600;">❌ no match</span>`;
+
+async function renderInspect(params) {
+  const app = document.querySelector('#app');
+  app.innerHTML = "<h1>Inspector</h1><p>Reading registry…</p>";
+
+  try {
+    const anchors = [...(await fetchAnchors()).values()].sort((a, b) => a.timestamp - b.timestamp);
+    if (!anchors.length) {
+      app.innerHTML = "<h1>Inspector</h1><p>No snapshots on-chain yet.</p>";
+      return;
+    }
+    // ?registry=&index= (registry defaults to the first configured one)
+    const wantReg = registryByKey(params.get("registry")).key;
+    const want = Number(params.get("index"));
+    const anchor = anchors.find(a => a.registry === wantReg && a.index === want) || anchors[anchors.length - 1];
+    const reg = registryByKey(anchor.registry);
+    const multi = REGISTRIES.length > 1;
+    const addrUrl = explorerAddressUrl(reg.chain, reg.address);
+
+    app.innerHTML = "<h1>Inspector</h1><p>Fetching snapshot from IPFS…</p>";
+    const [v, chain, tx] = await Promise.all([
+      fetchAndVerifyByCID(anchor.cid, anchor.sha256File),
+      getChainInfo(reg).catch(() => null),
+      getAnchorLog(anchor.index, reg).catch((e) => {
+        console.warn("registry logs unavailable:", e?.message || e);
+        return null;
+      }),
+    ]);
+
+    const file = normHash(v.sha256_file);
+    const canon = normHash(v.sha256_canonical);
+    const inFile = normHash(v.sha256_expected);
+    const onchain = normHash(v.sha256_onchain);
+
+    app.innerHTML = `
+      <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+        <h1 style="margin:0;">Inspector</h1>
+        <select id="inspIndex" title="On-chain index">
+          ${anchors.map(a => `<option value="${a.registry}|${a.index}" ${a === anchor ? 'selected' : ''}>
+            ${multi ? `${registryByKey(a.registry).label} ` : ""}#${a.index} • ${nyTradingDay(a.timestamp)}</option>`).join("")}
+        </select>
+        <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+          ${navBar()}
+        </span>
+      </div>
+
+      <div style="display:grid;grid-template-columns:minmax(0,3fr) minmax(0,2fr);gap:20px;">
+        <div style="background:var(--card-bg);border:1px solid var(--card-border);border-radius:10px;padding:10px;
+                    font-family:ui-monospace,monospace;font-size:12px;overflow:auto;max-height:75vh;">
+          ${jsonTree(v.json)}
+        </div>
+
+        <div>
+          <h2 style="margin:0 0 8px;">Hashes</h2>
+          <table style="width:100%;border-collapse:collapse;font-size:13px;">
+            ${hashRow("On-chain bytes32", v.sha256_onchain, `registry index ${anchor.index}`)}
+            ${hashRow("sha256_file", v.sha256_file, "SHA-256 of the exact bytes served")}
+            ${hashRow("sha256_canonical", v.sha256_canonical, "sorted keys, no whitespace, minus \"sha256\"")}
+            ${hashRow("In-file sha256", v.sha256_expected)}
+          </table>
+
+          <h2 style="margin:16px 0 8px;">Checks</h2>
+          <table style="width:100%;border-collapse:collapse;font-size:13px;">
+            <tr><td>File bytes = on-chain</td><td>${tick(onchain ? file === onchain : null)}</td></tr>
+            <tr><td>In-file = file bytes</td><td>${tick(inFile ? inFile === file : null)}</td></tr>
+            <tr><td>In-file = canonical</td><td>${tick(inFile ? inFile === canon : null)}</td></tr>
+            <tr><td><b>Mode used</b></td>
+                <td><code>${v.mode || "none"}</code> • ${v.ok ? tick(true) : tick(false)}</td></tr>
+          </table>
+
+          <h2 style="margin:16px 0 8px;">Anchor</h2>
+          <div style="font-size:13px;color:var(--muted);">
+            <div><b>CID:</b> <a href="https://dweb.link/ipfs/${anchor.cid}" target="_blank"><code>${anchor.cid}</code></a></div>
+            <div><b>Served by:</b> <code>${v.url}</code></div>
+            <div><b>Registry:</b> ${addrUrl ? `<a href="${addrUrl}" target="_blank"><code>${reg.address}</code></a>` : `<code>${reg.address}</code>`}
+              • ${reg.chain.name || reg.chain.id}${chain ? ` (chain ${chain.chainId})` : ""}</div>
+            <div><b>Registry timestamp (declared):</b> ${nyTimestamp(new Date(anchor.timestamp).toISOString())} NY</div>
+            ${provenanceHtml(tx, reg.chain, driftFlags({ timestamp: anchor.timestamp, blockTime: tx?.blockTime ?? null, asOf: normalizeSnapshot(v.json)?.as_of_utc }))}
+          </div>
+
+          <button id="inspBundle" style="margin-top:16px;">Download verification bundle</button>
+          <div style="color:var(--muted);font-size:12px;margin-top:6px;">
+            Exact bytes, hashes, registry read and <code>verify.mjs</code> (Node 18+, no dependencies).
+          </div>
+        </div>
+      </div>
+    `;
+
+    wireHeaderEvents();
+    document.getElementById('inspIndex').addEventListener('change', (e) => {
+      const [registry, index] = e.target.value.split("|");
+      navigate('inspect', { registry, index });
+    });
+    document.getElementById('inspBundle').addEventListener('click', () => {
+      const zip = buildProofBundle({
+        v,
+        anchor: {
+          index: anchor.index,
+          cid: anchor.cid,
+          sha256File: anchor.sha256File,
+          timestamp: anchor.timestamp,
+          registry: reg.address,
+          chain: reg.chain.name || reg.chain.id,
+          chainId: chain?.chainId ?? reg.chain.chainId ?? null,
+          readAtBlock: chain?.blockNumber ?? null,
+          calldata: getSnapshotCalldata(anchor.index),
+        },
+        tx,
+      });
+      downloadBlob(zip, `snapshot-${anchor.index}-verification.zip`, "application/zip");
+    });
+  } catch (err) {
+    console.error(err);
+    app.innerHTML = `<h1>Inspector</h1><p style="color:#f55;">${err.message}</p>`;
+  }
+}
+
+registerView('inspect', { label: 'Inspector', render: renderInspect });
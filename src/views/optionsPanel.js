@@ -0,0 +1,133 @@
+// src/views/optionsPanel.js
+// Option legs with DTE, moneyness, IV and Greeks, plus an expiration payoff
+// chart per underlying. Spot prices come from the snapshot when it has them
+// and can be typed in otherwise; edits redraw only this panel.
+import Chart from 'chart.js/auto';
+import { analyzeLegs, underlyingPrices, payoffCurve, parseOptionLeg } from "../options.js";
+import { symOpt } from "../format.js";
+
+const RATE = Number(import.meta.env.VITE_RISK_FREE_RATE ?? 0.04);
+
+const f = (x, dp = 2) => (x == null || !isFinite(x) ? "—" : x.toFixed(dp));
+const td = (v, extra = "") => `<td style="text-align:right;${extra}">${v}</td>`;
+
+function legsTable(rows) {
+  return `
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;font-size:13px;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            <th>Leg</th><th style="text-align:right;">Qty</th><th style="text-align:right;">DTE</th>
+            <th style="text-align:right;">Spot</th><th>Moneyness</th><th style="text-align:right;">IV</th>
+            <th style="text-align:right;">Δ</th><th style="text-align:right;">Γ</th>
+            <th style="text-align:right;">Θ/day</th><th style="text-align:right;">Vega</th>
+            <th style="text-align:right;">Pos. Δ (sh)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(r => `
+            <tr>
+              <td>${symOpt({ ...r.p, symbol: r.leg.underlying, expiry: r.leg.expiry, strike: r.leg.strike, right: r.leg.right })}</td>
+              ${td(r.p.position)}
+              ${td(f(r.dte, 1), r.dte < 3 ? "color:var(--warn);font-weight:700;" : "")}
+              ${td(f(r.S))}
+              <td>${r.moneyness ?? "—"}</td>
+              ${td(r.iv == null ? "—" : (r.iv * 100).toFixed(1) + "%")}
+              ${td(f(r.greeks?.delta, 3))}
+              ${td(f(r.greeks?.gamma, 4))}
+              ${td(f(r.greeks?.theta, 3))}
+              ${td(f(r.greeks?.vega, 3))}
+              ${td(f(r.posDelta, 0))}
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Render into `el`. positions: the (account-filtered) payload.positions;
+ * payload: the snapshot payload (for underlying prices); asOfMs: snapshot time.
+ */
+export function mountOptionsPanel(el, positions, { payload, asOfMs }) {
+  const hasOptions = (positions || []).some(p => parseOptionLeg(p));
+  if (!el || !hasOptions) { if (el) el.innerHTML = ""; return; }
+
+  const spots = underlyingPrices(payload);
+  const underlyings = [...new Set(positions.map(p => parseOptionLeg(p)?.underlying).filter(Boolean))].sort();
+  let selected = underlyings[0];
+  let chart = null;
+
+  function draw() {
+    const rows = analyzeLegs(positions, { spots, asOfMs, rate: RATE });
+    const nearest = Math.min(...rows.map(r => r.dte));
+    el.innerHTML = `
+      <h2 style="margin:24px 0 10px;">Options
+        <span style="font-size:13px;color:var(--muted);font-weight:400;">
+          (nearest expiry in ${f(nearest, 1)} days • r = ${(RATE * 100).toFixed(2)}%)
+        </span>
+      </h2>
+      <div style="display:flex;gap:12px;flex-wrap:wrap;margin-bottom:8px;font-size:13px;">
+        ${underlyings.map(u => `
+          <label>${u} spot
+            <input data-spot="${u}" type="number" step="any" value="${spots[u] ?? ""}" placeholder="enter price" style="width:7em;">
+          </label>`).join("")}
+      </div>
+      ${legsTable(rows)}
+
+      <div style="display:flex;align-items:center;gap:12px;margin:18px 0 8px;">
+        <h3 style="margin:0;">Payoff at expiry</h3>
+        <select id="payoffUnderlying">
+          ${underlyings.map(u => `<option ${u === selected ? 'selected' : ''}>${u}</option>`).join("")}
+        </select>
+      </div>
+      <div style="height: 260px;"><canvas id="payoffChart"></canvas></div>`;
+
+    el.querySelectorAll('[data-spot]').forEach(inp => inp.addEventListener('change', () => {
+      const v = Number(inp.value);
+      if (v > 0) spots[inp.dataset.spot] = v; else delete spots[inp.dataset.spot];
+      draw();
+    }));
+    el.querySelector('#payoffUnderlying').addEventListener('change', (e) => { selected = e.target.value; draw(); });
+
+    const group = positions.filter(p => (parseOptionLeg(p)?.underlying ?? (p.secType === "STK" ? p.symbol : null)) === selected);
+    const strikes = group.map(p => parseOptionLeg(p)?.strike).filter(Boolean);
+    const S = spots[selected];
+    const lo = Math.min(...strikes, S || Infinity) * 0.85;
+    const hi = Math.max(...strikes, S || 0) * 1.15;
+
+    chart?.destroy();
+    chart = new Chart(el.querySelector('#payoffChart').getContext("2d"), {
+      type: "line",
+      data: {
+        datasets: [{
+          label: `${selected} P&L at expiry`,
+          data: payoffCurve(group, lo, hi),
+          borderColor: "#4cafef",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: { target: "origin", above: "rgba(0,170,34,0.15)", below: "rgba(221,51,51,0.15)" }
+        }, ...(S ? [{
+          label: "Spot",
+          data: [{ x: S, y: 0 }],
+          pointRadius: 5,
+          pointBackgroundColor: "#ff9800",
+          showLine: false
+        }] : [])]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true },
+          tooltip: { callbacks: { label: (c) => `S=${c.parsed.x.toFixed(2)}: ${c.parsed.y.toFixed(2)}` } }
+        },
+        scales: {
+          x: { type: "linear", title: { display: true, text: `${selected} price` } },
+          y: { title: { display: true, text: "P&L (base ccy)" } }
+        }
+      }
+    });
+  }
+
+  draw();
+}
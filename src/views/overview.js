@@ -0,0 +1,229 @@
+// src/views/overview.js
+import { activeSource } from "../sources.js";
+import { sourceLabel } from "../config.js";
+import { loadSnapshots } from "../cache.js";
+import { getLatestOnChainAll, getAnchorLog, registryByKey } from "../contract.js";
+import { driftFlags } from "../provenance.js";
+import { fetchAnchors, latestAnchor } from "../history.js";
+import { normHash } from "../util.js";
+import { fmtMoney, nyTradingDay, nyTimestamp } from "../format.js";
+import { registerView, navigate, routeHref } from "../router.js";
+import { onNewSnapshot } from "../live.js";
+import { mountPositionsGrid } from "./positionsGrid.js";
+import { mountOptionsPanel } from "./optionsPanel.js";
+import { mountExposurePanel } from "./exposurePanel.js";
+import { navBar, wireHeaderEvents, statCards, accountSelect, syncBanner, schemaIssuesHtml, provenanceHtml } from "../layout.js";
+import { fxFor, getReportingCcy } from "../currency.js";
+import { accountKeys, accountLabel, accountValue, positionsFor, resolveAccount } from "../accounts.js";
+
+function kpiRow(accounts, sel, fx) {
+  const tag = accountLabel(sel);
+  const money = (field) => fmtMoney(accountValue(accounts, field, sel, fx), fx.ccy);
+  return statCards([
+    { label: `Net Liquidation (${tag})`, v: money("NetLiquidation") },
+    { label: `Total Cash (${tag})`,      v: money("TotalCashValue") },
+    { label: `Buying Power (${tag})`,    v: money("BuyingPower") },
+    { label: `Unrealized PnL (${tag})`,  v: money("UnrealizedPnL") },
+    { label: `Realized PnL (${tag})`,    v: money("RealizedPnL") },
+  ]);
+}
+
+// What the page shows for one API row checked against an on-chain hash.
+function snapshotModel(latest, sha256File, apiRates) {
+  const asOf = latest?.as_of_utc ?? "n/a";
+  const payload = latest?.data?.payload || {};
+  const accounts = payload.accounts || {};
+  return {
+    latest, asOf, payload, accounts,
+    asOfNY: nyTimestamp(asOf),
+    tradeDay: nyTradingDay(asOf),
+    account: resolveAccount(accounts),
+    fx: fxFor(latest?.data, getReportingCcy(), apiRates),
+    // Verify DB hash vs on-chain hash
+    verified: !!latest && !!sha256File && normHash(latest.sha256) === normHash(sha256File),
+  };
+}
+
+function techDetailsHtml(m, { timestamp, sha256File, registry, anchorIndex, wantDate }) {
+  const tsOnChain = timestamp ? new Date(timestamp).toLocaleString() : "n/a";
+  return `
+    <div><b>Registry timestamp (declared by the contract):</b> ${tsOnChain}</div>
+    ${wantDate || anchorIndex != null ? `<div><b>On-chain index:</b> ${anchorIndex ?? 'not anchored'}</div>` : ''}
+    <div id="ovProv">${anchorIndex != null ? 'Resolving the anchoring transaction…' : ''}</div>
+    <div><b>Snapshot recorded:</b> UTC ${m.asOf} • NY ${m.asOfNY}</div>
+    <div style="margin-top:8px;"><b>Hashes</b></div>
+    <ul>
+      <li><b>Expected (on-chain):</b> <code>${sha256File ?? 'n/a'}</code></li>
+      <li><b>From the data source:</b> <code>${m.latest?.sha256 ?? 'n/a'}</code></li>
+      <li><b>Verification:</b> ${m.verified ? "✅ Match" : "❌ Mismatch"}</li>
+    </ul>
+    ${m.verified ? `<a href="${routeHref('inspect', { registry, index: anchorIndex })}">Inspect raw snapshot &amp; download proof</a>` : ''}
+    <div style="margin-top:8px;">
+      <b>Data Source:</b> ${sourceLabel()} + Chain (trust)
+    </div>`;
+}
+
+function mountPanels(m) {
+  const legs = positionsFor(m.payload.positions, m.account);
+  const asOfMs = m.latest ? Date.parse(m.asOf) : Date.now();
+  mountPositionsGrid(document.getElementById('positionsGrid'), legs, { fx: m.fx, asOf: m.asOf });
+  mountExposurePanel(document.getElementById('exposurePanel'), legs, {
+    payload: m.payload, asOfMs, fx: m.fx, netLiq: accountValue(m.accounts, "NetLiquidation", m.account, m.fx)
+  });
+  mountOptionsPanel(document.getElementById('optionsPanel'), legs, { payload: m.payload, asOfMs });
+}
+
+async function renderOverview(params) {
+  const app = document.querySelector('#app');
+  app.innerHTML = "<h1>Zartrad Dashboard</h1><p>Loading…</p>";
+  // drop the previous render's live handler until this page's elements exist
+  onNewSnapshot('overview', null);
+
+  try {
+    // ?date=YYYY-MM-DD pins the view to that trading day's close
+    const wantDate = /^\d{4}-\d{2}-\d{2}$/.test(params.get("date") || "") ? params.get("date") : null;
+
+    const [apiSnaps, apiRates] = await Promise.all([loadSnapshots(), activeSource().fxRates()]);
+    const days = [...new Set(apiSnaps.map(s => nyTradingDay(s.as_of_utc)))].sort();
+
+    let latest = null;     // the API row being shown
+    let cid = null, sha256File = null, timestamp = null, registry = null, anchorIndex = null;
+
+    if (wantDate) {
+      // last snapshot on or before the requested day
+      latest = apiSnaps.filter(s => nyTradingDay(s.as_of_utc) <= wantDate).pop() || null;
+      if (latest) {
+        const anchor = (await fetchAnchors()).get(normHash(latest.sha256));
+        if (anchor) ({ cid, sha256File, timestamp, registry } = anchor);
+        anchorIndex = anchor?.index ?? null;
+      }
+    } else {
+      // Get latest hash/timestamp from chain (last cached anchor when offline)
+      ({ cid, sha256File, timestamp, registry, index: anchorIndex } = await getLatestOnChainAll().catch(async (e) =>
+        latestAnchor(await fetchAnchors()) ?? Promise.reject(e)));
+      if (!sha256File) {
+        app.innerHTML = "<h1>Zartrad Dashboard</h1><p>No snapshots on-chain yet.</p>";
+        return;
+      }
+      // Fetch latest snapshot from API
+      latest = apiSnaps.length ? apiSnaps[apiSnaps.length - 1] : null;
+    }
+
+    const m = snapshotModel(latest, sha256File, apiRates);
+    const { accounts, account, fx, verified, tradeDay } = m;
+    const kpis = kpiRow(accounts, account, fx);
+    const nav = { days, idx: days.indexOf(tradeDay) };
+
+    app.innerHTML = `
+      <div style="display:flex;align-items:flex-start;gap:12px;margin:14px 0;">
+        <div style="flex:1 1 auto;">
+          <div style="display:flex;align-items:center;gap:12px;flex-wrap:wrap;">
+            <h1 style="margin:0;">Zartrad Dashboard</h1>
+            <span id="ovBadge" class="badge" style="background:${verified ? 'var(--badge-ok-bg)' : 'var(--badge-bad-bg)'};">
+              ${verified ? 'Verified' : 'Unverified'}
+            </span>
+          </div>
+          <div style="color:var(--muted);margin-top:6px;display:flex;align-items:center;gap:8px;flex-wrap:wrap;">
+            <span id="ovAsOf">As of ${tradeDay} Close</span>
+            <button id="dayPrev" ${nav.idx <= 0 ? 'disabled' : ''} title="Previous snapshot">‹</button>
+            <input id="asOfDate" type="date" value="${wantDate || tradeDay}"
+                   min="${days[0] || ''}" max="${days[days.length - 1] || ''}">
+            <button id="dayNext" ${nav.idx < 0 || nav.idx >= days.length - 1 ? 'disabled' : ''} title="Next snapshot">›</button>
+            ${wantDate ? `<button id="dayLatest">Latest</button>` : ''}
+            ${wantDate && latest && tradeDay !== wantDate
+              ? `<span>(no snapshot on ${wantDate}; showing prior close)</span>` : ''}
+            ${wantDate && !latest ? `<span>(no snapshot on or before ${wantDate})</span>` : ''}
+          </div>
+        </div>
+
+        <div style="flex:0 0 auto;display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+          ${accountSelect(accountKeys(accounts), account)}
+          ${navBar()}
+        </div>
+      </div>
+
+      ${syncBanner()}
+      <div id="ovKpis">${kpis}</div>
+      ${schemaIssuesHtml(latest?.issues)}
+      ${fx.missing.size ? `<div style="color:var(--warn);font-size:13px;margin:-10px 0 12px;">
+        No FX rate for ${[...fx.missing].join(", ")}; those values are shown as —.</div>` : ''}
+
+      <div style="display:grid;grid-template-columns:minmax(0,2fr) minmax(0,1fr);gap:20px;">
+        <div>
+          <h2 style="margin:10px 0;">Positions</h2>
+          <div id="positionsGrid"></div>
+        </div>
+        <div id="exposurePanel"></div>
+      </div>
+      <div id="optionsPanel"></div>
+
+      <details id="ovTechBox" style="margin-top:18px;">
+        <summary>Tech verification details</summary>
+        <div id="ovTech" style="margin-top:10px;font-size:13px;color:var(--muted);">
+          ${techDetailsHtml(m, { timestamp, sha256File, registry, anchorIndex, wantDate })}
+        </div>
+      </details>
+    `;
+
+    wireHeaderEvents();
+    wireDayPicker(nav);
+    mountPanels(m);
+
+    // tx/block provenance needs a log scan, so only once the details are opened
+    let anchor = { registry, anchorIndex, timestamp, asOf: m.verified ? latest.as_of_utc : null };
+    const techBox = document.getElementById('ovTechBox');
+    techBox.addEventListener('toggle', () => { if (techBox.open) mountProvenance(anchor); });
+
+    // Live mode: the latest-close page patches itself when a new snapshot lands
+    // (a pinned ?date= page has nothing to update)
+    const badge = document.getElementById('ovBadge');
+    onNewSnapshot('overview', wantDate ? null : async () => {
+      const [rows, chain] = await Promise.all([loadSnapshots(), getLatestOnChainAll()]);
+      const next = snapshotModel(rows[rows.length - 1] || null, chain.sha256File, apiRates);
+      if (!badge.isConnected) return;   // this page was replaced while loading
+      nav.days = [...new Set(rows.map(s => nyTradingDay(s.as_of_utc)))].sort();
+      nav.idx = nav.days.indexOf(next.tradeDay);
+
+      badge.textContent = next.verified ? 'Verified' : 'Unverified';
+      badge.style.background = next.verified ? 'var(--badge-ok-bg)' : 'var(--badge-bad-bg)';
+      document.getElementById('ovAsOf').textContent = `As of ${next.tradeDay} Close`;
+      const picker = document.getElementById('asOfDate');
+      picker.value = next.tradeDay;
+      picker.max = nav.days[nav.days.length - 1] || '';
+      document.getElementById('dayPrev').disabled = nav.idx <= 0;
+      document.getElementById('dayNext').disabled = true;
+      document.getElementById('ovKpis').innerHTML = kpiRow(next.accounts, next.account, next.fx);
+      document.getElementById('ovTech').innerHTML = techDetailsHtml(next, { ...chain, anchorIndex: chain.index, wantDate });
+      anchor = { ...chain, anchorIndex: chain.index, asOf: next.verified ? next.latest.as_of_utc : null };
+      if (techBox.open) mountProvenance(anchor);
+      mountPanels(next);
+    });
+  } catch (err) {
+    console.error(err);
+    app.innerHTML = `<h1>Zartrad Dashboard</h1><p style="color:#f55;">${err.message}</p>`;
+  }
+}
+
+// Fill #ovProv with the anchoring tx/block and any timestamp drift.
+async function mountProvenance({ registry, anchorIndex, timestamp, asOf }) {
+  const el = document.getElementById('ovProv');
+  if (!el || anchorIndex == null) return;
+  const reg = registryByKey(registry);
+  const p = await getAnchorLog(anchorIndex, reg).catch((e) => {
+    console.warn("registry logs unavailable:", e?.message || e);
+    return null;
+  });
+  el.innerHTML = provenanceHtml(p, reg.chain, driftFlags({ timestamp, blockTime: p?.blockTime ?? null, asOf }));
+}
+
+// Overview day navigation: every change goes through the URL so it can be shared.
+// nav: { days, idx } (mutable, so live updates can extend it)
+function wireDayPicker(nav) {
+  const go = (date) => navigate('overview', { date });
+  document.getElementById('asOfDate')?.addEventListener('change', (e) => go(e.target.value));
+  document.getElementById('dayPrev')?.addEventListener('click', () => go(nav.days[nav.idx - 1]));
+  document.getElementById('dayNext')?.addEventListener('click', () => go(nav.days[nav.idx + 1]));
+  document.getElementById('dayLatest')?.addEventListener('click', () => go(undefined));
+}
+
+registerView('overview', { label: 'Overview', render: renderOverview });
@@ -0,0 +1,336 @@
+// src/views/performance.js
+import Chart from 'chart.js/auto';
+import 'chartjs-adapter-date-fns';
+import { fetchAllSnapshots, buildEquitySeries, applyCashFlows, computePerformance } from "../history.js";
+import { activeSource } from "../sources.js";
+import { normHash } from "../util.js";
+import { fmtMoney, shortHash, nyTradingDay } from "../format.js";
+import { fxFor, getReportingCcy } from "../currency.js";
+import { registerView, navigate, routeHref } from "../router.js";
+import { onNewSnapshot } from "../live.js";
+import { PRESETS, resolveRange, inRange, rebaseRows } from "../range.js";
+import { dragZoom, DRAG_EVENTS } from "./dragZoom.js";
+import { navBar, wireHeaderEvents, statCards, accountSelect, syncBanner, schemaIssuesHtml } from "../layout.js";
+import { accountKeys, resolveAccount } from "../accounts.js";
+import { riskPanelHtml, drawRiskCharts } from "./riskPanel.js";
+import { calendarHtml } from "./calendarPanel.js";
+import { mountBenchmarkPanel } from "./benchmarkPanel.js";
+import { benchmarkConfig, PORTFOLIO_KEY } from "../benchmarks.js";
+import { openTearsheet } from "./tearsheet.js";
+import { registryByKey } from "../contract.js";
+import { explorerAddressUrl } from "../chains.js";
+
+// Free the Chart.js instances inside a panel before its markup is replaced
+const destroyCharts = (el) => el?.querySelectorAll('canvas').forEach(c => Chart.getChart(c)?.destroy());
+
+// Clickable provenance for one equity point (tooltips are canvas-drawn, so links live here)
+function pointInfoHtml(d, ccy) {
+  const reg = registryByKey(d.registry);
+  const explorer = reg && explorerAddressUrl(reg.chain, reg.address);
+  return `
+    <div style="background:var(--card-bg);border:1px solid var(--card-border);border-radius:10px;padding:10px;">
+      <div><b>${d.date}</b> • ${fmtMoney(d.equity, ccy)} •
+        <span style="color:${d.verified ? 'var(--ok)' : 'var(--bad)'};font-weight:600;">
+          ${d.verified ? `Anchored (index ${d.anchorIndex})` : 'Not anchored on-chain'}
+        </span>
+      </div>
+      <div><b>SHA-256:</b> <code>${d.sha256File ?? "—"}</code></div>
+      <div><b>CID:</b> ${d.cid ? `<a href="https://dweb.link/ipfs/${d.cid}" target="_blank"><code>${d.cid}</code></a>` : "—"}</div>
+      <div>${explorer ? `<a href="${explorer}#events" target="_blank">View registry on ${reg.chain.explorerName}</a>` : ""}
+        ${d.verified ? ` • <a href="${routeHref('inspect', { registry: d.registry, index: d.anchorIndex })}">Inspect raw snapshot</a>` : ''}</div>
+    </div>`;
+}
+
+async function renderPerformance(params) {
+  const app = document.querySelector('#app');
+  app.innerHTML = "<h1>Performance</h1><p>Loading history…</p>";
+  onNewSnapshot('performance', null);
+
+  try {
+    // 1) Load history
+    const source = activeSource();
+    let [snaps, flows, apiRates] = await Promise.all([fetchAllSnapshots(), source.cashFlows(), source.fxRates()]);
+    const ccy = getReportingCcy();
+    const money = (x) => fmtMoney(x, ccy);
+    // every account seen anywhere in history, so older accounts stay selectable
+    const known = {};
+    for (const sn of snaps) Object.assign(known, sn.json?.payload?.accounts);
+    const account = resolveAccount(known);
+    // ?range=3M | ?from=&to= — every stat below is recomputed for the window
+    const compute = (snaps) => {
+      const ledgerFx = fxFor(snaps[snaps.length - 1]?.json, ccy, apiRates);
+      const full = applyCashFlows(buildEquitySeries(snaps, account, ccy, apiRates), flows, account, ledgerFx);
+      const range = resolveRange(full.map(d => d.date), params);
+      const eq = full.filter(d => inRange(d.date, range));
+      return { full, range, eq, perf: computePerformance(eq) };
+    };
+    let { full, range, eq, perf } = compute(snaps);
+    // per-field problems across history, tagged with the snapshot they came from
+    const issues = snaps.flatMap(sn => sn.issues.map(i => ({
+      path: `${nyTradingDay(sn.json?.as_of_utc || sn.timestamp)} ${i.path}`, message: i.message
+    })));
+    const setRange = (p) => navigate('performance', p);
+    const zoom = () => dragZoom((from, to) => setRange({ from, to }));
+
+    const pct = (x, dp=2) => (x == null ? "—" : (x*100).toFixed(dp) + "%");
+    const num = (x, dp=2) => (x == null ? "—" : x.toFixed(dp));
+    const statsHtml = () => statCards([
+      {label:range.preset === "ITD" ? "Since Inception (TWR)" : "Period Return (TWR)", v:pct(perf.stats.since_inception)},
+      {label:"IRR (MWR, ann.)", v:pct(perf.stats.irr),
+       title:`Money-weighted; net external flows ${money(perf.stats.net_flows)}`},
+      {label:"YTD",             v:pct(perf.stats.ytd)},
+      {label:"Ann. Return",     v:pct(perf.stats.annual_return)},
+      {label:"Ann. Vol",        v:pct(perf.stats.annual_vol)},
+      {label:"Sharpe",          v:num(perf.stats.sharpe)}
+    ], 6);
+    const unverifiedNote = () => `(${eq.filter(d => !d.verified).length} of ${eq.length} days)`;
+    const equityPoints = () => eq.map(d => ({ x: d.date, y: d.equity, point: d }));
+
+    // Main UI layout
+    app.innerHTML = `
+      <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+        <h1 style="margin:0;">Performance</h1>
+        <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+          <button id="perfTearsheet" title="Printable LP report (PDF via the print dialog, or HTML)">Generate tearsheet</button>
+          ${accountSelect(accountKeys(known), account)}
+          ${navBar()}
+        </span>
+      </div>
+      ${syncBanner()}
+      ${schemaIssuesHtml(issues, "Some snapshots have schema problems; unreadable values are left out of the series")}
+
+      <div style="display:flex;gap:6px;align-items:center;flex-wrap:wrap;margin:6px 0;font-size:13px;">
+        ${PRESETS.map(p => `<button data-range="${p}" ${range.preset === p ? 'disabled' : ''}
+          style="padding:0.3em 0.8em;">${p === "ITD" ? "Since inception" : p}</button>`).join("")}
+        <span style="margin-left:8px;">Custom</span>
+        <input id="rangeFrom" type="date" value="${params.get("from") || range.from || ""}"
+               min="${full[0]?.date || ""}" max="${full[full.length - 1]?.date || ""}">
+        <span>→</span>
+        <input id="rangeTo" type="date" value="${params.get("to") || range.to || ""}"
+               min="${full[0]?.date || ""}" max="${full[full.length - 1]?.date || ""}">
+        <span style="color:var(--muted);margin-left:auto;">
+          <span id="perfWindow">${range.from ?? "—"} → ${range.to ?? "—"}</span> • drag on a chart to zoom
+        </span>
+      </div>
+
+      <div id="perfStats">${statsHtml()}</div>
+
+      <div style="display:grid; grid-template-columns:1fr 1fr; gap:20px; margin-top:20px;">
+        <div>
+          <h2 style="margin:10px 0;">
+            Equity Curve <span id="perfUpdated" style="font-size:13px;color:var(--muted);font-weight:400;">
+              (Last updated: ${eq.length ? eq[eq.length - 1].date : "n/a"})
+            </span>
+          </h2>
+          <div style="height: 300px;">
+            <canvas id="equityChart"></canvas>
+          </div>
+          <div style="font-size:12px;color:var(--muted);margin-top:6px;">
+            <span style="color:#4cafef;">●</span> anchored on-chain
+            &nbsp; <span style="color:#f55;">✕</span> unverified / unanchored
+            &nbsp;<span id="perfUnverified">${unverifiedNote()}</span> • click a point for details
+          </div>
+          <div id="pointInfo" style="font-size:13px;margin-top:6px;"></div>
+        </div>
+
+        <div>
+          <h2 style="margin:10px 0;">Growth of 1000 vs Benchmarks</h2>
+          <div style="height: 300px;">
+            <canvas id="benchChart"></canvas>
+          </div>
+        </div>
+      </div>
+
+      <div id="calendarPanel">${calendarHtml(perf)}</div>
+
+      <div id="riskPanel">${riskPanelHtml(perf)}</div>
+
+      <div id="benchmarkPanel"></div>
+    `;
+
+    // 2) Render Chart.js line chart
+    const ctx = document.getElementById("equityChart").getContext("2d");
+    const equityChart = new Chart(ctx, {
+      type: "line",
+      plugins: [zoom()],
+      data: {
+        datasets: [{
+          label: `Net Liquidation (${ccy})`,
+          data: equityPoints(),
+          borderColor: "#4cafef",
+          borderWidth: 2,
+          fill: false,
+          tension: 0.2,
+          // verified days stay invisible until hover; unanchored days always show a red cross
+          pointRadius: (c) => (c.raw?.point?.verified ? 0 : 4),
+          pointStyle: (c) => (c.raw?.point?.verified ? "circle" : "crossRot"),
+          pointBorderColor: (c) => (c.raw?.point?.verified ? "#4cafef" : "#f55"),
+          pointBorderWidth: 2,
+          pointHoverRadius: 5,     // dot appears when you hover
+          pointHoverBackgroundColor: (c) => (c.raw?.point?.verified ? "#4cafef" : "#f55")
+        }]
+      },
+      options: {
+        responsive: true,
+        events: DRAG_EVENTS,
+        onClick: (_evt, elements) => {
+          if (!elements.length) return;
+          const d = eq[elements[0].index];
+          document.getElementById("pointInfo").innerHTML = pointInfoHtml(d, ccy);
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            mode: "index",
+            intersect: false,
+            callbacks: {
+              label: (ctx) => `Equity: ${money(ctx.parsed.y)}`,
+              afterLabel: (ctx) => {
+                const d = ctx.raw.point;
+                return [
+                  ...(d.flow ? [`Cash flow: ${money(d.flow)} (excluded from returns)`] : []),
+                  d.verified ? `✅ Anchored on-chain (index ${d.anchorIndex})` : "❌ Not anchored on-chain",
+                  `SHA-256: ${shortHash(normHash(d.sha256File))}`,
+                  `CID: ${d.cid ?? "—"}`,
+                ];
+              }
+            }
+          },
+        },
+        scales: {
+          x: {
+            type: "time",
+            time: {
+              unit: "day",
+              tooltipFormat: "yyyy-MM-dd",
+              displayFormats: { day: "yyyy-MM-dd" }
+            },
+            ticks: { autoSkip: true, maxTicksLimit: 6 }
+          },
+          y: { title: { display: false } }
+        }
+      }
+    });
+
+    drawRiskCharts(perf, zoom);
+    wireHeaderEvents();
+    document.querySelectorAll('[data-range]').forEach(b =>
+      b.addEventListener('click', () => setRange({ range: b.dataset.range })));
+    const custom = () => setRange({
+      from: document.getElementById('rangeFrom').value,
+      to: document.getElementById('rangeTo').value
+    });
+    document.getElementById('rangeFrom').addEventListener('change', custom);
+    document.getElementById('rangeTo').addEventListener('change', custom);
+
+    // Tearsheet as of the last snapshot in the window, with whatever benchmarks have loaded
+    let benchSeries = [];
+    document.getElementById('perfTearsheet').addEventListener('click', () => {
+      const end = range.to ?? "9999-12-31";
+      const snap = [...snaps].reverse().find(sn => nyTradingDay(sn.json?.as_of_utc) <= end) ?? snaps[snaps.length - 1];
+      openTearsheet({
+        snap, fx: fxFor(snap?.json, ccy, apiRates),
+        account, ccy, range, perf, eq, bench: benchSeries,
+      });
+    });
+
+    // Live mode: fold a new snapshot into the open page instead of re-rendering it
+    let bench = null;
+    let benchChart = null;
+    const benchDatasets = () => {
+      const config = benchmarkConfig(bench);
+      const rebased = rebaseRows(bench, config.map(c => c.key), range);
+      // the portfolio line is our own VAMI (net of flows, selected account/currency)
+      // rather than the API column
+      return [
+        { key: PORTFOLIO_KEY, color: "#4cafef", points: perf.vami.map(v => ({ x: v.date, y: v.v })) },
+        ...config,
+      ].map(cfg => ({
+        label: cfg.key,
+        data: cfg.points || rebased.map(b => ({ x: b.trade_day, y: b[cfg.key] })),
+        borderColor: cfg.color,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        pointHoverBackgroundColor: cfg.color
+      }));
+    };
+    const mountBenchmarks = () => {
+      const el = document.getElementById("benchmarkPanel");
+      destroyCharts(el);
+      mountBenchmarkPanel(el, perf, bench, benchmarkConfig(bench));
+    };
+    onNewSnapshot('performance', async () => {
+      const next = await fetchAllSnapshots();
+      if (!equityChart.canvas?.isConnected) return;   // this page was replaced while loading
+      snaps = next;
+      ({ full, range, eq, perf } = compute(snaps));
+
+      document.getElementById('perfStats').innerHTML = statsHtml();
+      document.getElementById('perfUpdated').textContent = `(Last updated: ${eq.length ? eq[eq.length - 1].date : "n/a"})`;
+      document.getElementById('perfUnverified').textContent = unverifiedNote();
+      document.getElementById('perfWindow').textContent = `${range.from ?? "—"} → ${range.to ?? "—"}`;
+      for (const id of ['rangeFrom', 'rangeTo']) document.getElementById(id).max = full[full.length - 1]?.date || "";
+      equityChart.data.datasets[0].data = equityPoints();
+      equityChart.update();
+
+      document.getElementById('calendarPanel').innerHTML = calendarHtml(perf);
+      const risk = document.getElementById('riskPanel');
+      destroyCharts(risk);
+      risk.innerHTML = riskPanelHtml(perf);
+      drawRiskCharts(perf, zoom);
+
+      if (benchChart) {
+        benchChart.data.datasets = benchDatasets();
+        benchChart.update();
+        benchSeries = benchChart.data.datasets.map(d => ({ label: d.label, color: d.borderColor, points: d.data }));
+        mountBenchmarks();
+      }
+    });
+
+    // 3) Fetch benchmark data (the rest of the page stays usable if the API lacks it)
+    try {
+      bench = await source.benchmarks();
+    } catch (e) {
+      console.warn(e);
+      document.getElementById("benchChart").replaceWith(Object.assign(document.createElement("p"), {
+        textContent: `Benchmarks unavailable: ${e.message}`, style: "color:var(--muted);"
+      }));
+      return;
+    }
+    if (!equityChart.canvas?.isConnected) return;
+    const datasets = benchDatasets();
+    benchSeries = datasets.map(d => ({ label: d.label, color: d.borderColor, points: d.data }));
+
+    // Render the benchmark chart
+    const ctxBench = document.getElementById("benchChart").getContext("2d");
+    benchChart = new Chart(ctxBench, {
+      type: "line",
+      data: { datasets },
+      plugins: [zoom()],
+      options: {
+        responsive: true,
+        events: DRAG_EVENTS,
+        plugins: { legend: { display: true } },
+        spanGaps: true,   // <-- connect lines even if a day is missing
+        scales: {
+          x: {
+            type: "time",
+            time: { unit: "day", tooltipFormat: "yyyy-MM-dd" },
+            ticks: { source: "data" }   // <-- only show trading days
+          },
+          y: { title: { display: false } }
+        }
+      }
+    });
+
+    mountBenchmarks();
+  } catch (err) {
+    console.error(err);
+    app.innerHTML = `<h1>Performance</h1><p style="color:#f55;">${err.message}</p>`;
+  }
+}
+
+registerView('performance', { label: 'Performance', render: renderPerformance });
@@ -0,0 +1,142 @@
+// src/views/positionsGrid.js
+// Interactive positions table: column sort, text filter, group-by with
+// qty/PnL subtotals, and CSV/XLSX export of exactly the rows on screen.
+// Sort/filter/group survive re-renders for the session.
+import { fmtMoney, symOpt, nyTradingDay } from "../format.js";
+import { toCsv, toXlsx, downloadBlob } from "../export.js";
+
+const state = { sort: null, dir: 1, filter: "", group: "" }; // group: "" | "symbol" | "secType"
+
+const num = (x) => {
+  const n = parseFloat(String(x ?? "").replace(/[%,]/g, ""));
+  return isFinite(n) ? n : null;
+};
+const fixed = (dp) => (x) => (x == null ? "—" : x.toLocaleString("en-US", { minimumFractionDigits: dp, maximumFractionDigits: dp }));
+
+// PnL is reported by IBKR in the account base currency; prices stay in the contract's own.
+// Shared with the tearsheet so both show the same columns.
+export function positionColumns(fx) {
+  return [
+    { key: "label",  title: "Symbol", get: (p) => (p.secType === "OPT" ? symOpt(p) : p.symbol) },
+    { key: "secType", title: "Type",  get: (p) => p.secType },
+    { key: "qty",    title: "Qty",    get: (p) => num(p.position), fmt: fixed(0), numeric: true, sum: true },
+    { key: "avg",    title: "Avg",    get: (p) => num(p.avgPrice), fmt: fixed(4), numeric: true },
+    { key: "last",   title: "Last",   get: (p) => num(p.lastPrice), fmt: fixed(4), numeric: true },
+    { key: "chg",    title: "% Chg",  get: (p) => num(p.pctChange), fmt: (x) => (x == null ? "—" : `${x.toFixed(2)}%`), numeric: true },
+    { key: "pnl",    title: `PnL (${fx.ccy})`, get: (p) => fx.to(p.unrealizedPnL, "BASE"),
+      fmt: (x) => fmtMoney(x, fx.ccy), numeric: true, sum: true },
+  ];
+}
+
+// Visible rows in display order: [{ kind: "row", values } | { kind: "subtotal", label, values }]
+function visibleRows(positions, cols) {
+  const q = state.filter.trim().toLowerCase();
+  let rows = positions.map(p => ({ p, values: Object.fromEntries(cols.map(c => [c.key, c.get(p)])) }))
+    .filter(r => !q || cols.some(c => String(r.values[c.key] ?? "").toLowerCase().includes(q)));
+
+  if (state.sort) {
+    const col = cols.find(c => c.key === state.sort);
+    rows.sort((a, b) => {
+      const x = a.values[col.key], y = b.values[col.key];
+      if (x == null) return 1;
+      if (y == null) return -1;
+      return (col.numeric ? x - y : String(x).localeCompare(String(y))) * state.dir;
+    });
+  }
+
+  if (!state.group) return rows.map(r => ({ kind: "row", values: r.values }));
+
+  const groups = new Map();
+  for (const r of rows) {
+    const k = r.p[state.group] ?? "—";
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  const out = [];
+  for (const [k, rs] of groups) {
+    out.push(...rs.map(r => ({ kind: "row", values: r.values })));
+    const totals = {};
+    for (const c of cols.filter(c => c.sum)) totals[c.key] = rs.reduce((a, r) => a + (r.values[c.key] ?? 0), 0);
+    out.push({ kind: "subtotal", label: `${k} subtotal (${rs.length})`, values: totals });
+  }
+  return out;
+}
+
+function exportRows(rows, cols) {
+  return [
+    cols.map(c => c.title),
+    ...rows.map(r => cols.map((c, i) => (r.kind === "subtotal" && i === 0 ? r.label : r.values[c.key] ?? null))),
+  ];
+}
+
+/** positions: legs to show; fx: currency.js converter; asOf: snapshot ISO time (export filename) */
+export function mountPositionsGrid(el, positions, { fx, asOf }) {
+  if (!el) return;
+  if (!Array.isArray(positions) || positions.length === 0) {
+    el.innerHTML = `<div style="color:var(--muted);">No open positions</div>`;
+    return;
+  }
+  const cols = positionColumns(fx);
+
+  function drawBody() {
+    const rows = visibleRows(positions, cols);
+    el.querySelector('tbody').innerHTML = rows.map(r => r.kind === "row" ? `
+      <tr>
+        ${cols.map(c => `<td ${c.numeric ? 'style="text-align:right;"' : ''}>${c.fmt ? c.fmt(r.values[c.key]) : (r.values[c.key] ?? "—")}</td>`).join("")}
+      </tr>` : `
+      <tr style="font-weight:700;background:var(--card-bg);border-bottom:1px solid var(--table-border);">
+        ${cols.map((c, i) => `<td ${c.numeric ? 'style="text-align:right;"' : ''}>${
+          i === 0 ? r.label : c.sum ? c.fmt(r.values[c.key]) : ""}</td>`).join("")}
+      </tr>`).join("");
+    el.querySelectorAll('th[data-col]').forEach(th => {
+      const arrow = state.sort === th.dataset.col ? (state.dir > 0 ? " ▲" : " ▼") : "";
+      th.textContent = cols.find(c => c.key === th.dataset.col).title + arrow;
+    });
+    el.querySelector('#posCount').textContent = `${rows.filter(r => r.kind === "row").length} of ${positions.length}`;
+    return rows;
+  }
+
+  el.innerHTML = `
+    <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:8px;font-size:13px;">
+      <input id="posFilter" type="search" placeholder="Filter…" value="${state.filter.replace(/"/g, "&quot;")}">
+      <label>Group
+        <select id="posGroup">
+          <option value="" ${state.group === "" ? 'selected' : ''}>None</option>
+          <option value="symbol" ${state.group === "symbol" ? 'selected' : ''}>Symbol</option>
+          <option value="secType" ${state.group === "secType" ? 'selected' : ''}>Sec type</option>
+        </select>
+      </label>
+      <span id="posCount" style="color:var(--muted);"></span>
+      <span style="margin-left:auto;display:flex;gap:6px;">
+        <button id="posCsv">Download CSV</button>
+        <button id="posXlsx">Download XLSX</button>
+      </span>
+    </div>
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            ${cols.map(c => `<th data-col="${c.key}" style="cursor:pointer;user-select:none;${c.numeric ? 'text-align:right;' : ''}"></th>`).join("")}
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>`;
+
+  el.querySelectorAll('th[data-col]').forEach(th => th.addEventListener('click', () => {
+    if (state.sort === th.dataset.col) state.dir = -state.dir;
+    else { state.sort = th.dataset.col; state.dir = 1; }
+    drawBody();
+  }));
+  el.querySelector('#posFilter').addEventListener('input', (e) => { state.filter = e.target.value; drawBody(); });
+  el.querySelector('#posGroup').addEventListener('change', (e) => { state.group = e.target.value; drawBody(); });
+
+  const stem = `positions_${nyTradingDay(asOf)}`;
+  el.querySelector('#posCsv').addEventListener('click', () =>
+    downloadBlob(toCsv(exportRows(drawBody(), cols)), `${stem}.csv`, "text/csv"));
+  el.querySelector('#posXlsx').addEventListener('click', () =>
+    downloadBlob(toXlsx(exportRows(drawBody(), cols), "Positions"), `${stem}.xlsx`,
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"));
+
+  drawBody();
+}
@@ -0,0 +1,281 @@
+// src/views/publish.js
+// Admin-only: anchor a new snapshot from the browser wallet. Pick the file
+// (latest from the data source, or one from disk), check its hashes and what changed
+// since the registry's latest, give the CID it is pinned under, then sign.
+// Registered only when admin mode is on (Settings).
+import { formatEther, formatUnits } from "ethers";
+import { registerView } from "../router.js";
+import { navBar, wireHeaderEvents, schemaIssuesHtml } from "../layout.js";
+import { REGISTRIES, registryByKey, getLatestOnChain } from "../contract.js";
+import { explorerTxUrl } from "../chains.js";
+import { fetchAndVerifyByCID } from "../dataLoader.js";
+import { activeSource } from "../sources.js";
+import { loadSnapshots } from "../cache.js";
+import { fetchAnchors } from "../history.js";
+import { normalizeSnapshot, validateSnapshot } from "../schema.js";
+import { diffAccounts, diffPositions } from "../diff.js";
+import { CONSOLIDATED, positionsFor } from "../accounts.js";
+import { fxFor, getReportingCcy } from "../currency.js";
+import { downloadBlob } from "../export.js";
+import { fmtMoney, fmtSigned, nyTradingDay, nyTimestamp } from "../format.js";
+import { normHash } from "../util.js";
+import {
+  isAdmin, hasWallet, publishSignature, prepareSnapshot, snapshotBytes,
+  connectWallet, estimatePublish, publishSnapshot, verifyPublished
+} from "../publish.js";
+
+const box = "background:var(--card-bg);border:1px solid var(--card-border);border-radius:10px;padding:12px;margin-bottom:14px;";
+const hint = "color:var(--muted);font-size:12px;";
+const okBad = (ok, yes, no) =>
+  `<span style="color:${ok ? 'var(--ok)' : 'var(--bad)'};font-weight:600;">${ok ? `✅ ${yes}` : `❌ ${no}`}</span>`;
+
+// The registry's current latest snapshot, as JSON: from the data source when
+// it has the same hash, otherwise straight from IPFS. null if empty/unreachable.
+async function latestOnChainJson(reg) {
+  const latest = await getLatestOnChain(reg);
+  if (!latest.sha256File) return null;
+  const row = (await loadSnapshots().catch(() => []))
+    .find(r => normHash(r.sha256) === normHash(latest.sha256File));
+  if (row) return row.data;
+  const v = await fetchAndVerifyByCID(latest.cid, latest.sha256File).catch(() => null);
+  return v ? normalizeSnapshot(v.json) : null;
+}
+
+function diffHtml(prev, next) {
+  if (!prev) return `<div style="${hint}">No current snapshot to compare with (empty registry or file not reachable).</div>`;
+  const ccy = getReportingCcy();
+  const money = (x) => fmtMoney(x, ccy);
+  const fxA = fxFor(prev, ccy);
+  const fxB = fxFor(next, ccy);
+  const acct = diffAccounts(prev.payload?.accounts, next.payload?.accounts, CONSOLIDATED, fxA, fxB);
+  const legs = diffPositions(positionsFor(prev.payload?.positions), positionsFor(next.payload?.positions), fxA, fxB);
+  const n = (s) => legs.filter(l => l.status === s).length;
+  return `
+    <table style="width:100%;border-collapse:collapse;font-size:13px;">
+      <thead>
+        <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+          <th></th><th style="text-align:right;">Current ${nyTradingDay(prev.as_of_utc)}</th>
+          <th style="text-align:right;">New ${nyTradingDay(next.as_of_utc)}</th><th style="text-align:right;">Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${acct.map(r => `
+          <tr>
+            <td>${r.label}</td>
+            <td style="text-align:right;">${money(r.before)}</td>
+            <td style="text-align:right;">${money(r.after)}</td>
+            <td style="text-align:right;">${fmtSigned(r.delta, money)}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+    <div style="margin-top:8px;font-size:13px;">Positions: ${n("opened")} opened, ${n("closed")} closed, ${n("resized")} resized</div>`;
+}
+
+async function renderPublish() {
+  const app = document.querySelector('#app');
+  let reg = REGISTRIES[0];
+  let wallet = null;
+  let snap = null;      // prepareSnapshot() result + { name, fromSource }
+  if (!reg) {
+    app.innerHTML = "<h1>Publish</h1><p>No snapshot registry configured (VITE_CHAINS or VITE_REGISTRY_ADDR).</p>";
+    return;
+  }
+
+  app.innerHTML = `
+    <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+      <h1 style="margin:0;">Publish</h1>
+      <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+        ${navBar()}
+      </span>
+    </div>
+
+    <div style="${box}">
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+        <label>Registry
+          <select id="pubReg">
+            ${REGISTRIES.map(r => `<option value="${r.key}">${r.label} (${r.chain.name || r.chain.id})</option>`).join("")}
+          </select>
+        </label>
+        <button id="pubConnect" ${hasWallet() ? '' : 'disabled'}>Connect wallet</button>
+        <span id="pubAccount" style="${hint}">${hasWallet() ? 'Not connected' : 'No browser wallet found'}</span>
+      </div>
+      <div style="${hint}margin-top:6px;">
+        Write call: <code>${publishSignature()}</code> (VITE_PUBLISH_FN). For a local Hardhat/Anvil node, list it in
+        VITE_CHAINS, e.g. <code>{"chainId":31337,"rpcs":["http://127.0.0.1:8545"],"registries":[{"address":"0x…"}]}</code>.
+      </div>
+    </div>
+
+    <div style="${box}">
+      <h2 style="margin:0 0 8px;">1. Snapshot file</h2>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+        <button id="pubFromSource">Latest from data source</button>
+        <input id="pubFile" type="file" accept=".json,application/json">
+      </div>
+      <div id="pubSnap" style="margin-top:10px;"></div>
+    </div>
+
+    <div style="${box}">
+      <h2 style="margin:0 0 8px;">2. Changes since the registry's latest</h2>
+      <div id="pubDiff" style="${hint}">Pick a file first.</div>
+    </div>
+
+    <div style="${box}">
+      <h2 style="margin:0 0 8px;">3. Publish</h2>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+        <label>CID <input id="pubCid" size="60" placeholder="bafy… (the file pinned byte-for-byte)"></label>
+        <button id="pubCheckCid" disabled>Check on IPFS</button>
+        <button id="pubEstimate" disabled>Estimate gas</button>
+        <button id="pubSend" disabled>Publish</button>
+      </div>
+      <div id="pubStatus" style="margin-top:10px;font-size:13px;"></div>
+    </div>
+  `;
+
+  wireHeaderEvents();
+
+  const $ = (id) => document.getElementById(id);
+  const cidInput = $('pubCid');
+  const status = $('pubStatus');
+  const setStatus = (html) => { status.innerHTML = html; };
+  const sync = () => {
+    const ready = !!snap && !!cidInput.value.trim();
+    $('pubCheckCid').disabled = !ready;
+    $('pubEstimate').disabled = !ready || !wallet;
+    $('pubSend').disabled = !ready || !wallet;
+  };
+
+  $('pubReg').addEventListener('change', (e) => {
+    reg = registryByKey(e.target.value);
+    wallet = null;
+    $('pubAccount').textContent = 'Not connected';
+    if (snap) showSnapshot();
+    sync();
+  });
+
+  $('pubConnect').addEventListener('click', async () => {
+    try {
+      wallet = await connectWallet(reg);
+      $('pubAccount').textContent = `${wallet.account} on ${reg.chain.name || reg.chain.id}`;
+    } catch (e) {
+      wallet = null;
+      $('pubAccount').textContent = e?.shortMessage || e?.message || String(e);
+    }
+    sync();
+  });
+
+  // expected: the source's own file hash; re-serialised JSON must reproduce it
+  const take = async (bytes, name, fromSource, expected) => {
+    try {
+      const v = await prepareSnapshot(bytes);
+      if (expected && normHash(v.sha256File) !== normHash(expected)) {
+        throw new Error(`re-serialising the data source's JSON gives ${v.sha256File}, not the file it hashed `
+          + `(0x${normHash(expected)}). Pick the original file instead.`);
+      }
+      snap = { ...v, name, fromSource };
+    } catch (e) {
+      snap = null;
+      $('pubSnap').innerHTML = `<span style="color:var(--bad);">${name}: ${e.message}</span>`;
+      sync();
+      return;
+    }
+    await showSnapshot();
+    sync();
+  };
+
+  $('pubFromSource').addEventListener('click', async () => {
+    $('pubSnap').textContent = "Loading from the data source…";
+    try {
+      const rows = await activeSource().snapshotsSince(null);
+      const row = rows.sort((a, b) => String(a.as_of_utc).localeCompare(String(b.as_of_utc))).pop();
+      if (!row) throw new Error("The data source has no snapshots");
+      await take(snapshotBytes(row.data), `snapshot_${row.as_of_utc}.json`, true, row.sha256);
+    } catch (e) {
+      $('pubSnap').innerHTML = `<span style="color:var(--bad);">${e.message}</span>`;
+    }
+  });
+  $('pubFile').addEventListener('change', async (e) => {
+    const f = e.target.files[0];
+    if (f) await take(new Uint8Array(await f.arrayBuffer()), f.name, false);
+  });
+
+  async function showSnapshot() {
+    const data = normalizeSnapshot(snap.json, { name: snap.name });
+    const anchors = await fetchAnchors().catch(() => new Map());
+    const dup = anchors.get(normHash(snap.sha256File));
+    $('pubSnap').innerHTML = `
+      <div style="font-size:13px;">
+        <div><b>${snap.name}</b> • as of ${data?.as_of_utc ? `${nyTimestamp(data.as_of_utc)} NY` : "unknown"}</div>
+        <div><b>To anchor (SHA-256 of the file bytes):</b> <code style="word-break:break-all;">${snap.sha256File}</code></div>
+        <div style="${hint}">canonical <code>${snap.sha256_canonical}</code>
+          ${snap.sha256_expected ? ` • in-file sha256 ${okBad(snap.ok, `matches (${snap.mode})`, "matches neither")}` : ""}</div>
+        ${dup ? `<div style="color:var(--warn);">⚠️ Already anchored (${registryByKey(dup.registry).label} #${dup.index}); publishing again adds a duplicate.</div>` : ""}
+        ${snap.fromSource ? `<div style="margin-top:6px;">Rebuilt from the data source's JSON: pin exactly these bytes
+          <button id="pubDownload" type="button">Download file</button></div>` : ""}
+      </div>
+      ${schemaIssuesHtml(validateSnapshot(data))}`;
+    $('pubDownload')?.addEventListener('click', () =>
+      downloadBlob(snap.bytes, snap.name, "application/json"));
+
+    $('pubDiff').innerHTML = "Reading the registry's latest snapshot…";
+    try {
+      const json = await latestOnChainJson(reg);
+      const stale = json?.as_of_utc && data?.as_of_utc && Date.parse(data.as_of_utc) <= Date.parse(json.as_of_utc);
+      $('pubDiff').innerHTML = `${stale ? `<div style="color:var(--warn);margin-bottom:6px;">⚠️ Not newer than the current latest.</div>` : ""}
+        ${diffHtml(json, data)}`;
+    } catch (e) {
+      $('pubDiff').innerHTML = `<span style="color:var(--bad);">${e.message}</span>`;
+    }
+  }
+
+  cidInput.addEventListener('input', sync);
+
+  $('pubCheckCid').addEventListener('click', async () => {
+    setStatus("Fetching the CID from IPFS…");
+    try {
+      const v = await fetchAndVerifyByCID(cidInput.value.trim(), snap.sha256File);
+      setStatus(okBad(v.ok, `IPFS serves these exact bytes (${v.url})`, `IPFS serves different bytes: ${v.sha256_file}`));
+    } catch (e) {
+      setStatus(`<span style="color:var(--warn);">⚠️ ${e.message}</span>`);
+    }
+  });
+
+  $('pubEstimate').addEventListener('click', async () => {
+    setStatus("Estimating…");
+    try {
+      const est = await estimatePublish(wallet, cidInput.value.trim(), snap.sha256File);
+      setStatus(`Gas ${est.gas.toString()}${est.maxFeePerGas != null ? ` × ${formatUnits(est.maxFeePerGas, "gwei")} gwei` : ""}
+        ${est.cost != null ? ` ≈ ${formatEther(est.cost)} (native token)` : ""}`);
+    } catch (e) {
+      setStatus(`<span style="color:var(--bad);">Estimate failed: ${e?.shortMessage || e?.message || e}</span>`);
+    }
+  });
+
+  $('pubSend').addEventListener('click', async () => {
+    const cid = cidInput.value.trim();
+    const btn = $('pubSend');
+    btn.disabled = true;
+    const txLink = (hash) => {
+      const url = explorerTxUrl(reg.chain, hash);
+      return url ? `<a href="${url}" target="_blank"><code>${hash}</code></a>` : `<code>${hash}</code>`;
+    };
+    try {
+      await publishSnapshot(wallet, cid, snap.sha256File, (stage, info) => {
+        if (stage === "signing") setStatus("Waiting for the wallet signature…");
+        if (stage === "pending") setStatus(`Pending: ${txLink(info.hash)}`);
+        if (stage === "mined") setStatus(`Mined in block ${info.blockNumber} (gas ${info.gasUsed}): ${txLink(info.hash)}<br>Re-verifying…`);
+      });
+      const check = await verifyPublished(reg, cid, snap.sha256File);
+      status.insertAdjacentHTML('beforeend', `
+        <div>${okBad(check.chain.ok, "Registry latest is this CID and hash", `Registry latest is ${check.chain.cid} / ${check.chain.sha256File}`)}</div>
+        <div>${check.ipfs.error
+          ? `<span style="color:var(--warn);">⚠️ IPFS not verified yet: ${check.ipfs.error}</span>`
+          : okBad(check.ipfs.ok, `IPFS file matches the anchored hash (${check.ipfs.url})`, "IPFS file does not match the anchored hash")}</div>`);
+    } catch (e) {
+      setStatus(`<span style="color:var(--bad);">${e?.shortMessage || e?.message || e}</span>`);
+    } finally {
+      sync();
+    }
+  });
+}
+
+if (isAdmin()) registerView('publish', { label: 'Publish', render: renderPublish });
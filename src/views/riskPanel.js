@@ -0,0 +1,130 @@
+// src/views/riskPanel.js
+// Risk-adjusted stats, underwater chart, rolling Sharpe/vol and drawdown table
+// for the Performance view. Pure rendering over computePerformance() output.
+import Chart from 'chart.js/auto';
+import { statCards } from "../layout.js";
+import { DRAG_EVENTS } from "./dragZoom.js";
+
+const pct = (x, dp = 2) => (x == null ? "—" : (x * 100).toFixed(dp) + "%");
+const num = (x, dp = 2) => (x == null ? "—" : x.toFixed(dp));
+const dayRet = (d) => (d ? `${pct(d.ret)} <span style="font-size:12px;color:var(--muted);font-weight:400;">${d.date}</span>` : "—");
+
+const timeAxis = {
+  type: "time",
+  time: { unit: "day", tooltipFormat: "yyyy-MM-dd", displayFormats: { day: "yyyy-MM-dd" } },
+  ticks: { autoSkip: true, maxTicksLimit: 6 }
+};
+
+export function riskPanelHtml(perf) {
+  const st = perf.stats;
+  const periods = perf.drawdowns.slice(0, 5);
+  return `
+    <h2 style="margin:28px 0 10px;">Risk</h2>
+    ${statCards([
+      { label: "Max Drawdown",   v: pct(st.max_drawdown), title: st.max_drawdown_date ? `Trough ${st.max_drawdown_date}` : "" },
+      { label: "Sortino",        v: num(st.sortino) },
+      { label: "Calmar",         v: num(st.calmar) },
+      { label: "Downside Dev.",  v: pct(st.downside_dev) },
+      { label: "Win Rate",       v: pct(st.win_rate, 1) },
+      { label: "VaR 95% (1d)",   v: pct(st.var_95) },
+      { label: "CVaR 95% (1d)",  v: pct(st.cvar_95) },
+      { label: "VaR 99% (1d)",   v: pct(st.var_99) },
+      { label: "CVaR 99% (1d)",  v: pct(st.cvar_99) },
+      { label: "Skew / Ex. Kurt", v: `${num(st.skew)} / ${num(st.kurtosis)}` },
+      { label: "Best Day",       v: dayRet(st.best_day) },
+      { label: "Worst Day",      v: dayRet(st.worst_day) },
+    ], 6)}
+
+    <div style="display:grid; grid-template-columns:1fr 1fr; gap:20px;">
+      <div>
+        <h3 style="margin:10px 0;">Underwater (drawdown from peak)</h3>
+        <div style="height: 240px;"><canvas id="underwaterChart"></canvas></div>
+      </div>
+      <div>
+        <h3 style="margin:10px 0;">Rolling Sharpe &amp; Volatility</h3>
+        <div style="height: 240px;"><canvas id="rollingChart"></canvas></div>
+        ${perf.rolling.d30?.length ? "" : `<div style="font-size:12px;color:var(--muted);">Needs more than 30 trading days of history.</div>`}
+      </div>
+    </div>
+
+    <h3 style="margin:18px 0 10px;">Worst Drawdowns</h3>
+    ${periods.length === 0 ? `<div style="color:var(--muted);">No drawdowns yet</div>` : `
+    <div style="overflow:auto;">
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="text-align:left;border-bottom:1px solid var(--table-border);">
+            <th>Peak</th><th>Trough</th><th>Recovery</th>
+            <th style="text-align:right;">Depth</th><th style="text-align:right;">Duration (days)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${periods.map(p => `
+            <tr>
+              <td>${p.peak}</td><td>${p.trough}</td><td>${p.recovery ?? "Not recovered"}</td>
+              <td style="text-align:right;">${pct(p.depth)}</td>
+              <td style="text-align:right;">${p.duration}${p.recovery ? "" : "+"}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`}`;
+}
+
+// zoom: optional () => Chart.js plugin (see dragZoom.js) to keep the page range in sync
+export function drawRiskCharts(perf, zoom) {
+  const events = zoom ? DRAG_EVENTS : undefined;
+  new Chart(document.getElementById("underwaterChart").getContext("2d"), {
+    type: "line",
+    plugins: zoom ? [zoom()] : [],
+    data: {
+      datasets: [{
+        label: "Drawdown",
+        data: perf.drawdown.map(d => ({ x: d.date, y: d.dd * 100 })),
+        borderColor: "#f55",
+        backgroundColor: "rgba(255,85,85,0.25)",
+        borderWidth: 1.5,
+        fill: "origin",
+        tension: 0.1,
+        pointRadius: 0,
+        pointHoverRadius: 4
+      }]
+    },
+    options: {
+      responsive: true,
+      ...(events && { events }),
+      plugins: {
+        legend: { display: false },
+        tooltip: { mode: "index", intersect: false, callbacks: { label: (c) => `Drawdown: ${c.parsed.y.toFixed(2)}%` } }
+      },
+      scales: { x: timeAxis, y: { max: 0, ticks: { callback: (v) => `${v}%` } } }
+    }
+  });
+
+  const line = (label, data, color, axis, dash) => ({
+    label, data, yAxisID: axis,
+    borderColor: color, borderWidth: 1.5, borderDash: dash || [],
+    fill: false, tension: 0.2, pointRadius: 0, pointHoverRadius: 4
+  });
+  const r = perf.rolling;
+  new Chart(document.getElementById("rollingChart").getContext("2d"), {
+    type: "line",
+    plugins: zoom ? [zoom()] : [],
+    data: {
+      datasets: [
+        line("Sharpe 30d", (r.d30 || []).map(d => ({ x: d.date, y: d.sharpe })), "#4cafef", "y"),
+        line("Sharpe 90d", (r.d90 || []).map(d => ({ x: d.date, y: d.sharpe })), "#1565c0", "y"),
+        line("Vol 30d",    (r.d30 || []).map(d => ({ x: d.date, y: d.vol * 100 })), "#ff9800", "y1", [4, 3]),
+        line("Vol 90d",    (r.d90 || []).map(d => ({ x: d.date, y: d.vol * 100 })), "#e65100", "y1", [4, 3]),
+      ]
+    },
+    options: {
+      responsive: true,
+      ...(events && { events }),
+      plugins: { legend: { display: true }, tooltip: { mode: "index", intersect: false } },
+      scales: {
+        x: timeAxis,
+        y:  { position: "left",  title: { display: true, text: "Sharpe" } },
+        y1: { position: "right", title: { display: true, text: "Ann. vol %" }, grid: { drawOnChartArea: false } }
+      }
+    }
+  });
+}
@@ -0,0 +1,127 @@
+// src/views/settings.js
+// Data-source settings: which adapter feeds the dashboard, the API URL,
+// IPFS gateways (including a local `ipfs daemon`), a static folder, or
+// snapshot files uploaded from disk. Also the admin-mode switch for publishing.
+import { registerView, refresh } from "../router.js";
+import { navBar, wireHeaderEvents } from "../layout.js";
+import {
+  SOURCE_KINDS, DEFAULT_GATEWAYS, LOCAL_GATEWAY,
+  getSourceConfig, setSourceConfig, resetSourceConfig
+} from "../config.js";
+import { readAll, writeAll, clearStore } from "../idb.js";
+import { mountGatewayPanel } from "./gatewayPanel.js";
+import { isAdmin, setAdmin } from "../publish.js";
+
+const field = "display:flex;flex-direction:column;gap:4px;margin-bottom:12px;max-width:640px;";
+const hint = "color:var(--muted);font-size:12px;";
+
+async function renderSettings() {
+  const app = document.querySelector('#app');
+  const cfg = getSourceConfig();
+  const uploads = await readAll("uploads").catch(() => []);
+
+  app.innerHTML = `
+    <div style="display:flex;align-items:center;gap:12px;margin:14px 0;">
+      <h1 style="margin:0;">Settings</h1>
+      <span style="margin-left:auto;display:flex;gap:8px;align-items:center;">
+        ${navBar()}
+      </span>
+    </div>
+
+    <h2 style="margin:10px 0;">Data source</h2>
+    <div style="${field}">
+      ${SOURCE_KINDS.map(k => `
+        <label><input type="radio" name="srcKind" value="${k.id}" ${k.id === cfg.kind ? 'checked' : ''}> ${k.label}</label>`).join("")}
+      <span style="${hint}">Build defaults come from VITE_DATA_SOURCE, VITE_API_URL, VITE_IPFS_GATEWAYS and VITE_STATIC_URL.</span>
+    </div>
+
+    <label style="${field}">API base URL
+      <input id="srcApi" value="${cfg.apiUrl}">
+    </label>
+
+    <label style="${field}">IPFS gateways (one per line; health scores decide the race order)
+      <textarea id="srcGateways" rows="4">${cfg.gateways.join("\n")}</textarea>
+      <span style="${hint}">A base like https://dweb.link (path style) or a template containing {cid}.
+        <button id="srcLocalGw" type="button">Use local daemon first</button>
+        <button id="srcDefaultGw" type="button">Public defaults</button></span>
+    </label>
+
+    <h2 style="margin:10px 0;">IPFS gateway status</h2>
+    <p style="${hint}margin:0 0 8px;">Fetches start with the top two in this order; the next joins when one fails or every few seconds without a winner. Save first to probe a changed list.</p>
+    <div id="gatewayPanel" style="margin-bottom:16px;"></div>
+
+    <label style="${field}">Static folder URL
+      <input id="srcStatic" value="${cfg.staticUrl}">
+      <span style="${hint}">Needs an index.json listing snapshot file names; cashflows.json, fx.json and benchmarks.json are optional.</span>
+    </label>
+
+    <div style="${field}">
+      <span>Uploaded snapshot files</span>
+      <input id="srcFiles" type="file" accept=".json,application/json" multiple>
+      <span style="${hint}">${uploads.length
+        ? `${uploads.length} stored: ${uploads.map(f => f.name).join(", ")} <button id="srcClearFiles" type="button">Remove all</button>`
+        : "None stored."}</span>
+    </div>
+
+    <div style="display:flex;gap:8px;align-items:center;">
+      <button id="srcSave">Save</button>
+      <button id="srcReset">Reset to build defaults</button>
+      <span id="srcStatus" style="${hint}"></span>
+    </div>
+
+    <h2 style="margin:20px 0 10px;">Admin</h2>
+    <div style="${field}">
+      <label><input id="adminMode" type="checkbox" ${isAdmin() ? 'checked' : ''}> Admin mode: show the Publish tab</label>
+      <span style="${hint}">Publishing needs a browser wallet allowed to write to the registry. The page reloads to add or remove the tab.</span>
+    </div>
+  `;
+
+  wireHeaderEvents();
+  mountGatewayPanel(document.getElementById('gatewayPanel'));
+
+  const gw = document.getElementById('srcGateways');
+  const status = document.getElementById('srcStatus');
+  document.getElementById('srcLocalGw').addEventListener('click', () => {
+    const rest = gw.value.split(/\s+/).filter(g => g && g !== LOCAL_GATEWAY);
+    gw.value = [LOCAL_GATEWAY, ...rest].join("\n");
+  });
+  document.getElementById('srcDefaultGw').addEventListener('click', () => {
+    gw.value = DEFAULT_GATEWAYS.join("\n");
+  });
+
+  document.getElementById('srcSave').addEventListener('click', () => {
+    setSourceConfig({
+      kind: document.querySelector('input[name="srcKind"]:checked')?.value || "api",
+      apiUrl: document.getElementById('srcApi').value.trim(),
+      gateways: gw.value.split(/\s+/).filter(Boolean),
+      staticUrl: document.getElementById('srcStatic').value.trim(),
+    });
+    status.textContent = "Saved.";
+    mountGatewayPanel(document.getElementById('gatewayPanel'));
+  });
+  document.getElementById('srcReset').addEventListener('click', () => {
+    resetSourceConfig();
+    refresh();
+  });
+
+  document.getElementById('adminMode').addEventListener('change', (e) => {
+    setAdmin(e.target.checked);
+    location.reload();
+  });
+
+  document.getElementById('srcFiles').addEventListener('change', async (e) => {
+    const files = [...e.target.files];
+    const rows = await Promise.all(files.map(async f => ({ name: f.name, bytes: await f.arrayBuffer() })));
+    await writeAll("uploads", rows);
+    await clearStore("snapshots");   // cached rows were built from the old file set
+    setSourceConfig({ kind: "upload" });
+    refresh();
+  });
+  document.getElementById('srcClearFiles')?.addEventListener('click', async () => {
+    await clearStore("uploads");
+    await clearStore("snapshots");
+    refresh();
+  });
+}
+
+registerView('settings', { label: 'Settings', render: renderSettings });
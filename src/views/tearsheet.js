@@ -0,0 +1,219 @@
+// src/views/tearsheet.js
+// Printable LP tearsheet: a standalone, fixed-layout HTML page (A4) with the
+// KPI cards, performance stats, equity and benchmark charts, positions, a
+// disclaimer and the on-chain verification footer. It carries its own light
+// palette and the charts are drawn off-screen as images, so the dashboard's
+// theme toggle never leaks into it. Opens in a new window for Print / Save as
+// PDF; falls back to downloading the HTML if pop-ups are blocked.
+import Chart from 'chart.js/auto';
+import 'chartjs-adapter-date-fns';
+import { fmtMoney, nyTradingDay } from "../format.js";
+import { accountLabel, accountValue, positionsFor } from "../accounts.js";
+import { registryByKey } from "../contract.js";
+import { explorerAddressUrl } from "../chains.js";
+import { downloadBlob } from "../export.js";
+import { positionColumns } from "./positionsGrid.js";
+
+const DISCLAIMER = import.meta.env.VITE_TEARSHEET_DISCLAIMER
+  || "For existing limited partners only; not an offer to sell or a solicitation of an offer to buy any interest. "
+   + "Figures are unaudited and derived from daily broker snapshots. Returns are time-weighted and exclude external "
+   + "cash flows; IRR is money-weighted. Past performance is not indicative of future results.";
+
+const esc = (s) => String(s ?? "").replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]));
+const pct = (x, dp = 2) => (x == null ? "—" : (x * 100).toFixed(dp) + "%");
+const num = (x, dp = 2) => (x == null ? "—" : x.toFixed(dp));
+
+// Fixed light palette: the tearsheet never follows the dashboard theme.
+const CSS = `
+  @page { size: A4; margin: 12mm 12mm 22mm; }
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { margin: 0; background: #fff; color: #0a0a0a; font: 11px/1.4 system-ui, Helvetica, Arial, sans-serif; }
+  .sheet { width: 186mm; margin: 0 auto; padding: 6mm 0 24mm; }
+  header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #0a0a0a; padding-bottom: 4px; }
+  h1 { font-size: 18px; margin: 0; }
+  h2 { font-size: 12px; margin: 10px 0 4px; text-transform: uppercase; letter-spacing: .04em; color: #444; }
+  .muted { color: #666; }
+  .grid { display: grid; gap: 6px; }
+  .card { border: 1px solid #ddd; background: #f6f6f7; border-radius: 6px; padding: 6px 8px; }
+  .card .l { font-size: 9px; color: #666; }
+  .card .v { font-size: 13px; font-weight: 700; }
+  .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+  .charts img { width: 100%; border: 1px solid #e3e3e3; border-radius: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5px; }
+  th, td { padding: 2px 4px; border-bottom: 1px solid #e3e3e3; text-align: left; }
+  th.n, td.n { text-align: right; }
+  .pos { break-inside: auto; }
+  .pos tr { break-inside: avoid; }
+  .disclaimer { margin-top: 10px; padding: 6px 8px; border: 1px solid #ddd; font-size: 8.5px; color: #444; break-inside: avoid; }
+  footer { position: fixed; bottom: 0; left: 0; right: 0; padding: 4px 12mm; border-top: 1px solid #ddd;
+           background: #fff; font-size: 8px; color: #444; word-break: break-all; }
+  .toolbar { position: fixed; top: 8px; right: 8px; display: flex; gap: 6px; }
+  @media print { .toolbar { display: none; } }
+`;
+
+// Draw a Chart.js config on a detached canvas and return it as a PNG data URL.
+function chartImage(config, width = 700, height = 320) {
+  const canvas = Object.assign(document.createElement("canvas"), { width, height });
+  const chart = new Chart(canvas, {
+    ...config,
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+      color: "#333",
+      scales: Object.fromEntries(["x", "y"].map(k => [k, {
+        ...config.options?.scales?.[k],
+        grid: { color: "#e3e3e3" },
+        ticks: { color: "#333", ...config.options?.scales?.[k]?.ticks },
+      }])),
+    },
+  });
+  const url = chart.toBase64Image("image/png", 1);
+  chart.destroy();
+  return url;
+}
+
+const timeX = { type: "time", time: { unit: "day", displayFormats: { day: "yyyy-MM-dd" } }, ticks: { autoSkip: true, maxTicksLimit: 6 } };
+
+function equityImage(eq, ccy) {
+  return chartImage({
+    type: "line",
+    data: { datasets: [{
+      label: `Net Liquidation (${ccy})`,
+      data: eq.map(d => ({ x: d.date, y: d.equity })),
+      borderColor: "#0b62ff", borderWidth: 2, pointRadius: 0, tension: 0.2, fill: false,
+    }] },
+    options: { plugins: { legend: { display: false } }, scales: { x: timeX } },
+  });
+}
+
+// series: [{ label, color, points: [{ x, y }] }]
+function benchImage(series) {
+  return chartImage({
+    type: "line",
+    data: { datasets: series.map(s => ({
+      label: s.label, data: s.points, borderColor: s.color, borderWidth: 2, pointRadius: 0, tension: 0.2, fill: false,
+    })) },
+    options: { spanGaps: true, plugins: { legend: { display: true, labels: { boxWidth: 10 } } }, scales: { x: timeX } },
+  });
+}
+
+const cards = (cells, cols) => `
+  <div class="grid" style="grid-template-columns:repeat(${cols},1fr);">
+    ${cells.map(c => `<div class="card"><div class="l">${esc(c.label)}</div><div class="v">${esc(c.v)}</div></div>`).join("")}
+  </div>`;
+
+function positionsTable(positions, fx) {
+  if (!positions.length) return `<div class="muted">No open positions</div>`;
+  const cols = positionColumns(fx);
+  return `
+    <table class="pos">
+      <thead><tr>${cols.map(c => `<th class="${c.numeric ? 'n' : ''}">${esc(c.title)}</th>`).join("")}</tr></thead>
+      <tbody>
+        ${positions.map(p => `<tr>${cols.map(c => {
+          const v = c.get(p);
+          return `<td class="${c.numeric ? 'n' : ''}">${esc(c.fmt ? c.fmt(v) : (v ?? "—"))}</td>`;
+        }).join("")}</tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+function footerHtml(snap) {
+  if (!snap?.verified) {
+    return `Not anchored on-chain: the snapshot behind this report has no matching registry entry.`;
+  }
+  const reg = registryByKey(snap.registry);
+  const url = reg && explorerAddressUrl(reg.chain, reg.address);
+  return `On-chain verification • SHA-256 (snapshot file) <b>${esc(snap.sha256File)}</b>
+    • registry ${url ? `<a href="${url}">${esc(reg.address)}</a>` : esc(reg?.address ?? "—")}
+    (${esc(reg?.chain.name || reg?.chain.id || "")}, index ${snap.anchorIndex}) • CID ${esc(snap.cid ?? "—")}`;
+}
+
+/**
+ * Build the tearsheet document.
+ * snap: the fetchAllSnapshots() row the report is as of; fx: its converter
+ * perf/eq/range: Performance view state; bench: [{ label, color, points }] (may be empty)
+ */
+export function tearsheetHtml({ snap, fx, account, ccy, range, perf, eq, bench }) {
+  const asOf = nyTradingDay(snap?.json?.as_of_utc);
+  const accounts = snap?.json?.payload?.accounts || {};
+  const money = (field) => fmtMoney(accountValue(accounts, field, account, fx), ccy);
+  const s = perf.stats;
+  const title = `Performance tearsheet • ${accountLabel(account)} • ${asOf}`;
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)}</title><style>${CSS}</style></head>
+<body>
+  <div class="toolbar"><button onclick="print()">Print / Save as PDF</button></div>
+  <div class="sheet">
+    <header>
+      <div>
+        <h1>Zartrad — Performance Tearsheet</h1>
+        <div class="muted">${esc(accountLabel(account))} • reporting currency ${esc(ccy)} • period ${esc(range.from ?? "—")} → ${esc(range.to ?? "—")}</div>
+      </div>
+      <div style="text-align:right;"><b>As of ${esc(asOf)} close</b><div class="muted">New York trading day</div></div>
+    </header>
+
+    <h2>Account</h2>
+    ${cards([
+      { label: "Net Liquidation", v: money("NetLiquidation") },
+      { label: "Total Cash", v: money("TotalCashValue") },
+      { label: "Buying Power", v: money("BuyingPower") },
+      { label: "Unrealized PnL", v: money("UnrealizedPnL") },
+      { label: "Realized PnL", v: money("RealizedPnL") },
+    ], 5)}
+
+    <h2>Performance</h2>
+    ${cards([
+      { label: range.preset === "ITD" ? "Since Inception (TWR)" : "Period Return (TWR)", v: pct(s.since_inception) },
+      { label: "IRR (MWR, ann.)", v: pct(s.irr) },
+      { label: "YTD", v: pct(s.ytd) },
+      { label: "Ann. Return", v: pct(s.annual_return) },
+      { label: "Ann. Vol", v: pct(s.annual_vol) },
+      { label: "Sharpe", v: num(s.sharpe) },
+      { label: "Sortino", v: num(s.sortino) },
+      { label: "Max Drawdown", v: `${pct(s.max_drawdown)}${s.max_drawdown_date ? ` (${s.max_drawdown_date})` : ""}` },
+      { label: "Calmar", v: num(s.calmar) },
+      { label: "Net External Flows", v: fmtMoney(s.net_flows, ccy) },
+    ], 5)}
+
+    <div class="charts">
+      <div><h2>Equity curve</h2>${eq.length
+        ? `<img alt="Equity curve" src="${equityImage(eq, ccy)}">`
+        : `<div class="muted">No snapshots in this period</div>`}</div>
+      <div><h2>Growth of 1000 vs benchmarks</h2>${bench.length
+        ? `<img alt="Growth of 1000 vs benchmarks" src="${benchImage(bench)}">`
+        : `<div class="muted">Benchmarks unavailable</div>`}</div>
+    </div>
+
+    <h2>Positions</h2>
+    ${positionsTable(positionsFor(snap?.json?.payload?.positions, account), fx)}
+
+    <div class="disclaimer"><b>Important information.</b> ${esc(DISCLAIMER)}</div>
+  </div>
+  <footer>${footerHtml(snap)}</footer>
+</body></html>`;
+}
+
+/**
+ * Open the tearsheet for printing, with a link to save the HTML itself;
+ * downloads the HTML straight away if the pop-up is blocked.
+ */
+export function openTearsheet(opts) {
+  const html = tearsheetHtml(opts);
+  const name = `tearsheet_${nyTradingDay(opts.snap?.json?.as_of_utc)}.html`;
+  const win = window.open("", "_blank");
+  if (!win) {
+    downloadBlob(html, name, "text/html");
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+  win.document.querySelector(".toolbar").insertAdjacentHTML("beforeend",
+    `<a href="${url}" download="${name}"><button>Download HTML</button></a>`);
+  win.addEventListener("unload", () => URL.revokeObjectURL(url));
+}